@@ -15,6 +15,8 @@ var todoCtrl=$.mvc.controller.create('todo', {
 
                     $("#leftTodo ul").append($(str));
                     that.updateCounters();
+                }).then(null,function(error){
+                    alert("The todo could not be saved: "+error.message);
                 });
                
 
@@ -36,9 +38,9 @@ var todoCtrl=$.mvc.controller.create('todo', {
         default:function(){
             
             todo.getAll(function(all){
-                var active=all.filter(function(obj){return obj.isComplete==false&&obj.isArchived==false});
-                var completed=all.filter(function(obj){return obj.isComplete==true});
-                var archived=all.filter(function(obj){return obj.isArchived==true});
+                var active=all.where({isComplete:false,isArchived:false});
+                var completed=all.where({isComplete:true});
+                var archived=all.where({isArchived:true});
                 
                 $("#leftTodo").html($.template('list_tpl',{title:'Active',listCSS:'active mainScreen',items:active,state:'active',checked:'',archiveText:'Archive'}));
                 $("#completedTodo").html($.template('list_tpl',{title:'Completed',listCSS:'completed  mainScreen',items:completed,state:'complete',checked:'checked',archiveText:'Archive'}));
@@ -129,53 +129,71 @@
          *  }</code></pre>
          * </p>
          *
+         * <p>Models with an identity map (see {@link af.mvc.modelDb.useIdentityMap}) return the cached object without a query.</p>
+         *
          * @param {Number} id
          * @param {function} [callback]
-         * @return {Object} loaded object
+         * @return {Promise} resolves with the loaded object (or null), rejects with an error (see $.mvc.model.promise)
          * @memberOf af.mvc.modelDb
          */
         $.mvc.modelDb.prototype.get = function(id, callback) {
             var
                 self = this,
-                storageAdapter = this.getStorageAdapter();
-
-            storageAdapter.get.call(storageAdapter, id, function(obj) {
-                var el;
+                storageAdapter = this.getStorageAdapter(),
+                cached = _getCached(this.modelName, id);
 
-                if (obj) {
-                    /** @type {af.mvc.modelDb} el */
-                    el = self.createNew();
-                    $.extend(el, obj);
-                    el.modelName = self.modelName;
-                    el.id = id;
+            return $.mvc.model.promise(this, "get", function(resolve, reject) {
+                if (cached) {
+                    resolve(cached);
+                    return;
+                }
 
-                    if (!!el.__wakeup && $.isFunction(el.__wakeup)) {
-                        el = el.__wakeup.call(el);
+                storageAdapter.get.call(storageAdapter, id, function(obj) {
+                    var el;
+
+                    if (obj) {
+                        /** @type {af.mvc.modelDb} el */
+                        el = self.createNew();
+                        $.extend(el, obj);
+                        el.modelName = self.modelName;
+                        el.id = id;
+
+                        if (!!el.__wakeup && $.isFunction(el.__wakeup)) {
+                            el = el.__wakeup.call(el);
+                        }
+                        el = _identify(el);
+                    } else {
+                        el = null;
                     }
-                } else {
-                    el = null;
-                }
 
-                return (callback && $.isFunction(callback)) ? callback(el) : el;
-            }, this);
+                    resolve(el);
+                }, self, reject);
+            }, callback);
         };
 
         /**
-         * Loads all entries in an array with af.mvc.modelDb objects.
-         * An empty table results in an empty array.
+         * Loads all entries in a collection ({@link $.mvc.collection}) with af.mvc.modelDb objects.
+         * An empty table results in an empty collection.
          *
          * @param {function} [callback]
-         * @return {Array}
+         * @return {Promise} resolves with the array, rejects with an error (see $.mvc.model.promise)
          * @memberOf af.mvc.modelDb
          */
         $.mvc.modelDb.prototype.getAll = function(callback) {
-            var storageAdapter = this.getStorageAdapter();
-
-            return storageAdapter.getAll.call(storageAdapter, this.modelName, callback, this);
+            var self = this, storageAdapter = this.getStorageAdapter();
+
+            return $.mvc.model.promise(this, "getAll", function(resolve, reject) {
+                storageAdapter.getAll.call(storageAdapter, self.modelName, function(all) {
+                    resolve($.mvc.collection(self.modelName, all.map(function(obj) {
+                        return _identify(obj);
+                    }), {matches: true}));
+                }, self, reject);
+            }, callback);
         };
 
         /**
          * Set properties on the model. You can pass in a key/value or an object of properties.
+         * Elements bound with $.mvc.bind() are updated and "change" events are triggered (see $.mvc.model#applyChanges).
          * @param {Object|String} obj
          * @param {*} [value] only used if obj ist key string
          * @memberOf af.mvc.modelDb
@@ -189,16 +207,20 @@
                         delete obj[el];
                     }
                 });
+                var attributes = {};
                 for (var t in obj) {
                     if (this.hasOwnProperty(t)) {
-                        this[t] = obj[t];
+                        attributes[t] = obj[t];
                     }
                 }
+                this.applyChanges(attributes);
             } else if (obj && this.hasOwnProperty(obj)) {
                 if (!readOnlyVars.some(function(el) {
                     return (obj.toLowerCase() === el.toLowerCase());
                 })) {
-                    this[obj] = value;
+                    var attribute = {};
+                    attribute[obj] = value;
+                    this.applyChanges(attribute);
                 }
             }
         };
@@ -260,15 +282,29 @@
          *  }</pre>
          *
          * @param {Object} search
-         * @param {function(Array.<Object|$.mvc.modelDb>)} callback Array with model objects
-         * @param {function(SQLTransaction, SQLError)} [errorCallback]
+         * @param {function(Array.<Object|$.mvc.modelDb>)} [callback] collection ({@link $.mvc.collection}) with model objects
+         * @param {function(SQLError)} [errorCallback]
+         * @return {Promise} resolves with the array, rejects with an error (see $.mvc.model.promise)
          * @memberOf af.mvc.modelDb
          */
         $.mvc.modelDb.prototype.search = function(search, callback, errorCallback) {
-            var el = new $.mvc.modelDb(this.modelName, this.getBaseOptions()),
-                storageAdapter = this.getStorageAdapter();
-
-            storageAdapter.search.call(storageAdapter, el, search, callback, errorCallback);
+            var self = this,
+                el = new $.mvc.modelDb(this.modelName, this.getBaseOptions()),
+                storageAdapter = this.getStorageAdapter(),
+                partial = !!(search && search.columns && search.columns.length);
+
+            return $.mvc.model.promise(this, "search", function(resolve, reject) {
+                storageAdapter.search.call(storageAdapter, el, search, function(all) {
+                    resolve($.mvc.collection(self.modelName, all.map(function(obj) {
+                        return _identify(obj, partial);
+                    })));
+                }, function(sqlError) {
+                    reject(sqlError);
+                    if ($.isFunction(errorCallback)) {
+                        errorCallback(sqlError);
+                    }
+                });
+            }, callback);
         };
 
 
@@ -301,6 +337,26 @@
          * $.mvc.model.extend('model',{foo:'bar'})
          * $.mvc.model.extend('model',{foo:'bar'},myCustomAdapter)
          * </code></pre>
+         *
+         * <p><b>schema</b>
+         * If the model has a schema (see $.mvc.model.extend), the table is registered in $.db with the columns of the
+         * schema (see {@link af.mvc.modelDb.getTableColumns}), so the columns are declared only once:
+         * <pre><code>
+         * $.mvc.modelDb.extend('todo', {
+         *   schema: {
+         *     text: {type: 'string', required: true, index: true},
+         *     prio: {type: 'integer', default: 3, constraints: 'CHECK (prio > 0)'},
+         *     isComplete: {type: 'boolean', default: false},
+         *     dt_change: false  // no automatic change timestamp
+         *   }
+         * });
+         * </code></pre>
+         * </p>
+         *
+         * <p><b>identityMap</b>
+         * `identityMap: true` or `identityMap: {max: 100, ttl: 60000}` enables the identity map of the model,
+         * see {@link af.mvc.modelDb.useIdentityMap}.</p>
+         *
          * @param {String} name
          * @param {Object} obj default methods/properties
          * @param {Object} [storageAdapter] - object implementing storageAdapter interface (look below for the default)
@@ -308,10 +364,41 @@
          */
         $.mvc.modelDb.extend = function(name, obj, storageAdapter) {
             // creates
-            if (!(storageAdapter instanceof SqliteStorageAdapter)) {
+            if (storageAdapter && !(storageAdapter instanceof SqliteStorageAdapter)) {
                 storageAdapter = new storageAdapter();
             }
 
+            if (obj && obj.hasOwnProperty('identityMap')) {
+                $.mvc.modelDb.useIdentityMap(name, obj.identityMap);
+                delete obj.identityMap;
+            }
+
+            if (obj && obj.schema) {
+                if (!$.db) {
+                    throw new Error("$.db is missing! Please create the DatabaseAdapter before the model '" + name + "'.");
+                }
+                var schema = obj.schema, tableName = obj.tableName || name, timestampColumns = _getTimestampColumns();
+                obj.schema = {};
+                Object.keys(schema).forEach(function(key) {
+                    if (timestampColumns.indexOf(key) === -1) {
+                        obj.schema[key] = schema[key];
+                    } else if (schema[key] !== false && !obj.hasOwnProperty(key)) {
+                        obj[key] = null;
+                    }
+                });
+                timestampColumns.forEach(function(key) {
+                    if (!schema.hasOwnProperty(key) && !obj.hasOwnProperty(key)) {
+                        obj[key] = null;
+                    }
+                });
+
+                var table = $.mvc.modelDb.getTableColumns(tableName, schema);
+                $.db.addTable(tableName, table.columns);
+                Object.keys(table.indexes).forEach(function(indexName) {
+                    $.db.addIndex(indexName, tableName, table.indexes[indexName].columns, table.indexes[indexName].unique);
+                });
+            }
+
             $.mvc.model.extend(name, obj, storageAdapter ? storageAdapter : new SqliteStorageAdapter());
 
             return function(values) {
@@ -325,6 +412,338 @@
         };
 
 
+        /**
+         * Reloads the data of this object from the database (the object stays the same, bound elements are updated and
+         * the changed attributes are reset).  Objects, which don't exist anymore, are removed from the identity map.
+         *
+         * @param {function(af.mvc.modelDb|null)} [callback] this or null (not found)
+         * @return {Promise} resolves with this (or null), rejects with an error (see $.mvc.model.promise)
+         * @memberOf af.mvc.modelDb
+         */
+        $.mvc.modelDb.prototype.refresh = function(callback) {
+            var
+                self = this,
+                storageAdapter = this.getStorageAdapter();
+
+            return $.mvc.model.promise(this, "refresh", function(resolve, reject) {
+                storageAdapter.get.call(storageAdapter, self.id, function(obj) {
+                    var el = null;
+
+                    if (obj) {
+                        el = self.createNew();
+                        $.extend(el, obj);
+                        el.id = self.id;
+                        if (!!el.__wakeup && $.isFunction(el.__wakeup)) {
+                            el = el.__wakeup.call(el);
+                        }
+                        _reload(self, el);
+                        _remember(self);
+                        el = self;
+                    } else {
+                        $.mvc.modelDb.evict(self.modelName, self.id);
+                    }
+
+                    resolve(el);
+                }, self, reject);
+            }, callback);
+        };
+
+
+        /**
+         * Identity maps: modelName => {options: {max, ttl}, entries: {id: {model, loaded}}, order: [id, ...] (LRU)}
+         * @type {Object}
+         * @private
+         */
+        var _identityMaps = {};
+
+        /**
+         * Enables (or disables) the identity map of a model: get(), search() and getAll() return the same object for an id,
+         * so changes of an object are visible everywhere.
+         * <ul>
+         *   <li>max: maximum number of cached objects, the least recently used objects will be evicted (default: 0 = unlimited)</li>
+         *   <li>ttl: objects loaded more than ttl ms ago are reloaded (in place, if they have no unsaved changes) (default: 0 = forever)</li>
+         * </ul>
+         * Saved objects are added (modelName:save), removed objects are evicted (modelName:remove).
+         * <pre><code>
+         * $.mvc.modelDb.useIdentityMap('todo', {max: 200, ttl: 5 * 60 * 1000});
+         * $.mvc.modelDb.useIdentityMap('todo', false);
+         * </code></pre>
+         *
+         * @param {String} name model name
+         * @param {Object|Boolean} [options] {max, ttl}; false disables the identity map
+         * @memberOf af.mvc.modelDb
+         */
+        $.mvc.modelDb.useIdentityMap = function(name, options) {
+            var map = _identityMaps[name];
+
+            if (options === false) {
+                if (map) {
+                    $(document).off(name + ':save', map.onSave);
+                    $(document).off(name + ':remove', map.onRemove);
+                    delete _identityMaps[name];
+                }
+                return;
+            }
+
+            if (!map) {
+                map = _identityMaps[name] = {
+                    entries: {},
+                    order: [],
+                    onSave: function(event) {
+                        if (event.data instanceof $.mvc.modelDb && event.data.id) {
+                            _remember(event.data);
+                        }
+                    },
+                    onRemove: function(event) {
+                        $.mvc.modelDb.evict(name, event.data);
+                    }
+                };
+                $(document).on(name + ':save', map.onSave);
+                $(document).on(name + ':remove', map.onRemove);
+            }
+            map.options = $.extend({max: 0, ttl: 0}, $.isObject(options) ? options : {});
+        };
+
+        /**
+         * Removes an object (or all objects) of a model from its identity map.
+         * @param {String} name model name
+         * @param {Number} [id] without id the identity map will be cleared
+         * @memberOf af.mvc.modelDb
+         */
+        $.mvc.modelDb.evict = function(name, id) {
+            var map = _identityMaps[name];
+
+            if (!map) {
+                return;
+            }
+            if (id === undefined) {
+                map.entries = {};
+                map.order = [];
+            } else if (map.entries.hasOwnProperty(id)) {
+                delete map.entries[id];
+                map.order.splice(map.order.indexOf(String(id)), 1);
+            }
+        };
+
+        /**
+         * Returns the cached object for an id (or null if there is none or it is expired).
+         * @param {String} name model name
+         * @param {Number} id
+         * @return {af.mvc.modelDb|null}
+         * @private
+         */
+        function _getCached(name, id)
+        {
+            var map = _identityMaps[name], entry = map && map.entries[id];
+
+            if (!entry || (map.options.ttl && Date.now() - entry.loaded > map.options.ttl)) {
+                return null;
+            }
+            _touch(map, id);
+            return entry.model;
+        }
+
+        /**
+         * Returns the cached object for a loaded object (expired objects without changes are updated with the loaded data)
+         * or caches the loaded object.  Partially loaded objects (search with columns) are neither cached nor used for
+         * updates, only existing cached objects are returned for them.
+         * @param {af.mvc.modelDb} el loaded object
+         * @param {Boolean} [partial] el has only some of the columns
+         * @return {af.mvc.modelDb}
+         * @private
+         */
+        function _identify(el, partial)
+        {
+            var map = el && _identityMaps[el.modelName], entry = map && map.entries[el.id];
+
+            if (!map || !el.id) {
+                return el;
+            }
+            if (!entry) {
+                return partial ? el : _remember(el);
+            }
+            if (partial) {
+                _touch(map, el.id);
+                return entry.model;
+            }
+            if (map.options.ttl && Date.now() - entry.loaded > map.options.ttl) {
+                if (!entry.model.hasChanged()) {
+                    _reload(entry.model, el);
+                }
+                entry.loaded = Date.now();
+            }
+            _touch(map, el.id);
+            return entry.model;
+        }
+
+        /**
+         * Caches an object in the identity map of its model (evicts the least recently used objects above max).
+         * @param {af.mvc.modelDb} el
+         * @return {af.mvc.modelDb}
+         * @private
+         */
+        function _remember(el)
+        {
+            var map = _identityMaps[el.modelName];
+
+            if (map) {
+                map.entries[el.id] = {model: el, loaded: Date.now()};
+                _touch(map, el.id);
+                while (map.options.max && map.order.length > map.options.max) {
+                    delete map.entries[map.order.shift()];
+                }
+            }
+            return el;
+        }
+
+        /**
+         * Marks an id as recently used.
+         * @param {Object} map
+         * @param {Number} id
+         * @private
+         */
+        function _touch(map, id)
+        {
+            var pos = map.order.indexOf(String(id));
+
+            if (pos !== -1) {
+                map.order.splice(pos, 1);
+            }
+            map.order.push(String(id));
+        }
+
+        /**
+         * Copies the data of a loaded object into an existing object (with change events) and resets its changes.
+         * @param {af.mvc.modelDb} model
+         * @param {af.mvc.modelDb} el
+         * @private
+         */
+        function _reload(model, el)
+        {
+            var data = el.getData();
+
+            delete data.id;
+            model.applyChanges(data);
+            model.__previous = {};
+        }
+
+
+        /**
+         * Returns the automatic timestamp columns (DatabaseAdapter options timestamp_create and timestamp_change)
+         * @return {Array.<String>}
+         * @private
+         */
+        function _getTimestampColumns() {
+            var options = ($.db && $.db.options) || {};
+            return [options.timestamp_create, options.timestamp_change].filter(function(key) {
+                return !!key;
+            });
+        }
+
+        /**
+         * SQLite column types of the schema types
+         * @type {Object}
+         * @private
+         */
+        var _columnTypes = {
+            string: 'TEXT',
+            number: 'REAL',
+            integer: 'INTEGER',
+            boolean: 'INTEGER',
+            date: 'DATETIME',
+            array: 'TEXT',
+            object: 'TEXT'
+        };
+
+        /**
+         * Returns the column definitions (for DatabaseAdapter.addTable()) and indexes of a model schema.
+         *
+         * Column rules (additionally to the validation rules):
+         * <pre>
+         *  type        {String}          schema type => column type (string: TEXT, number: REAL, integer/boolean: INTEGER, date: DATETIME,
+         *                                array/object: TEXT, saved as JSON)
+         *  column      {String}          column type (overrides type, e.g. 'VARCHAR(200)')
+         *  required    {Boolean}         NOT NULL
+         *  unique      {Boolean}         UNIQUE (with `index: true` a UNIQUE index tableName_column instead)
+         *  default     {String|Number|Boolean} DEFAULT value
+         *  constraints {String}          additional column constraints
+         *  index       {Boolean|String|Object} creates an index tableName_column (or an index with this name, which could be
+         *                                shared by columns); {name: String, unique: Boolean} creates a (UNIQUE) index
+         * </pre>
+         * The columns id (primary key) and the automatic timestamps ($.db.options.timestamp_create and timestamp_change,
+         * by default dt_create and dt_change) are added, `dt_create: false` or `dt_change: false` in the schema removes a
+         * timestamp column.
+         *
+         * @param {String} tableName
+         * @param {Object} schema
+         * @return {{columns: Array, indexes: Object}} indexes: {indexName: {columns: [], unique: Boolean}}
+         * @memberOf af.mvc.modelDb
+         */
+        $.mvc.modelDb.getTableColumns = function(tableName, schema) {
+            var columns = [['id', 'INTEGER', 'PRIMARY KEY AUTOINCREMENT']], indexes = {}, timestampColumns = _getTimestampColumns();
+
+            Object.keys(schema).forEach(function(key) {
+                var rules = schema[key], constraints = [], index = rules.index;
+
+                if (timestampColumns.indexOf(key) !== -1 || key === 'id') {
+                    return;
+                }
+                if (rules.type && !_columnTypes[rules.type]) {
+                    throw new Error("unknown schema type '" + rules.type + "' for " + tableName + "." + key);
+                }
+
+                if (rules.required) {
+                    constraints.push('NOT NULL');
+                }
+                if (rules.unique && index !== true) {
+                    constraints.push('UNIQUE');
+                }
+                if (rules.hasOwnProperty('default') && _sqlValue(rules['default']) !== null) {
+                    constraints.push('DEFAULT ' + _sqlValue(rules['default']));
+                }
+                if (rules.constraints) {
+                    constraints.push(rules.constraints);
+                }
+                columns.push([key, rules.column || _columnTypes[rules.type] || 'TEXT', constraints.join(' ')]);
+
+                if (index) {
+                    var indexName = (typeof index === 'string') ? index : (index.name || tableName + '_' + key);
+                    indexes[indexName] = indexes[indexName] || {columns: [], unique: false};
+                    indexes[indexName].columns.push(key);
+                    if ((index === true && rules.unique) || index.unique) {
+                        indexes[indexName].unique = true;
+                    }
+                }
+            });
+
+            timestampColumns.forEach(function(key) {
+                if (schema[key] !== false) {
+                    columns.push([key]);
+                }
+            });
+
+            return {columns: columns, indexes: indexes};
+        };
+
+        /**
+         * Returns a sql literal for DEFAULT or null (null, dates, objects)
+         * @param {*} value
+         * @return {String|null}
+         * @private
+         */
+        function _sqlValue(value) {
+            switch (typeof value) {
+                case 'string':
+                    return "'" + value.replace(/'/g, "''") + "'";
+                case 'number':
+                    return isFinite(value) ? String(value) : null;
+                case 'boolean':
+                    return value ? '1' : '0';
+                default:
+                    return null;
+            }
+        }
+
         /**
          * @return {String} table name from tableName (or modelName).
          * @memberOf af.mvc.modelDb
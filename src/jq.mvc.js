@@ -8,12 +8,8 @@
 
     $.mvc.app = function() {
         var app = {
-            _loadTimer: null,
-            _modelsReady: false,
-            _controllersReady: false,
-            _loadedListeners: [],
-            _modelsLoaded: 0,
-            _totalModels: 0,
+            _loading: Promise.resolve(),
+            _loadErrors: [],
             _controllersDir: "controllers/",
             _modelsDir: "models/",
             _baseDir: "",
@@ -36,16 +32,77 @@
             },
 
             /**
-             * Looks for route changes via hash change (ala Backbone.js)
+             * Looks for route changes via hash change (ala Backbone.js).
+             * If a guard cancels the navigation the previous hash is restored, redirects replace the hash.
              ```
              app.listenHashChange()
              ```
              *@title app.listenHashChange()
              */
             listenHashChange: function(listen) {
+                routingMode = "hash";
+                var current = document.location.hash;
+                var options = {
+                    notFound: true,
+                    browse: true,
+                    done: function() {
+                        current = document.location.hash;
+                        markHistory();
+                    },
+                    cancel: function() {
+                        setHash(current);
+                    },
+                    redirect: function(url) {
+                        setHash("#" + normalizeUrl(url));
+                    }
+                };
+
                 window.addEventListener("hashchange", function(e) {
-                    var url = document.location.hash.replace("#", "/");
-                    $.mvc.route(url, e);
+                    if (ignoreHash !== null && ignoreHash == document.location.hash) {
+                        ignoreHash = null;
+                        return;
+                    }
+                    var url = document.location.hash.replace(/^#\/?/, "/");
+                    navigate(url, e, options);
+                });
+            },
+
+            /**
+             * Uses the History API (pushState) for routing with clean urls relative to the base directory.
+             * Successful routes (anchor clicks and $.mvc.route) add a history entry, back/forward (popstate) is routed
+             * through $.mvc.route.  Falls back to listenHashChange if the browser has no pushState support.
+             ```
+             app.setBaseDir("kiosk");
+             app.listenPushState();
+             app.ready(function(){
+                $.mvc.route(document.location.pathname);
+             });
+             ```
+             *@title app.listenPushState()
+             */
+            listenPushState: function() {
+                if (!window.history || !window.history.pushState) {
+                    return this.listenHashChange();
+                }
+                routingMode = "pushState";
+
+                window.addEventListener("popstate", function(e) {
+                    var previous = currentUrl;
+                    navigate(document.location.href, null, {
+                        notFound: true,
+                        browse: true,
+                        done: function(info) {
+                            currentUrl = baseUrl + info.url;
+                            markHistory();
+                        },
+                        cancel: function() {
+                            previous && window.history.pushState({url: previous}, "", previous);
+                        },
+                        redirect: function(url) {
+                            currentUrl = baseUrl + "/" + normalizeUrl(url);
+                            window.history.replaceState({url: currentUrl}, "", currentUrl);
+                        }
+                    });
                 });
             },
             /**
@@ -58,6 +115,21 @@
              */
             controllersDir: function(path) {
                 this._controllersDir = path;
+                $.mvc._app._controllersDir = path;
+            },
+            /**
+             * Loads controllers on demand: the first time a route of an unknown controller is hit, the controller file is
+             * loaded from the controllers dir and the action runs when the controller is ready (views included).
+             * Pass true for every controller or a list of controller names.  See $.mvc.loading for a loading hook.
+             ```
+             app.lazyControllers(["settings","users"]);
+             app.lazyControllers(true);
+             ```
+             *@param {Boolean|Array} names
+             *@title app.lazyControllers(names);
+             */
+            lazyControllers: function(names) {
+                lazyControllers = names === true ? true : (names ? [].concat(names) : false);
             },
             /**
              * Set the path for where models will be loaded from
@@ -69,6 +141,7 @@
              */
             modelsDir: function(path) {
                 this._modelsDir = path;
+                $.mvc._app._modelsDir = path;
             },
             /**
              * Set the type attribute for templates. This is useful if you are using another templating system
@@ -84,108 +157,212 @@
                 $.mvc._app._templateType = type;
             },
             /**
-             * Function to execute when $.mvc.app is ready (controllers and models are loaded async)
+             * Set the template engine used by controllers (this.render) to render views (default: "jq" = jq.template).
+             * An engine implements compile(source, id) and render(compiled, data); its optional "type" is used as view type.
+             ```
+             app.setTemplateEngine({
+                type: "text/x-handlebars-template",
+                compile: function(source, id) { return Handlebars.compile(source); },
+                render: function(compiled, data) { return compiled(data); }
+             });
+             app.setTemplateEngine("mustache"); // registered with $.mvc.addTemplateEngine
+             ```
+             *@param {String|Object} engine name or engine object
+             *@title app.setTemplateEngine(engine)
+             */
+            setTemplateEngine: function(engine) {
+                engine = typeof (engine) === "string" ? templateEngines[engine] : engine;
+                if (!engine || !$.isFunction(engine.compile) || !$.isFunction(engine.render)) {
+                    throw new Error("invalid template engine");
+                }
+                $.mvc._app._templateEngine = engine;
+                if (engine.type) {
+                    $.mvc._app._templateType = engine.type;
+                }
+                compiledViews = {};
+            },
+            /**
+             * Set how often a controller, model or view is requested again after a load error (default: 0)
+             ```
+             app.loadRetries(2, 500);
+             ```
+             *@param {Number} count
+             *@param {Number} [delay] milliseconds between the attempts (default: 1000)
+             *@title app.loadRetries(count, [delay])
+             */
+            loadRetries: function(count, delay) {
+                $.mvc._app._loadRetries = count;
+                if (delay !== undefined) {
+                    $.mvc._app._loadRetryDelay = delay;
+                }
+            },
+            /**
+             * Function to execute when $.mvc.app is ready (controllers and models are loaded async).
+             * Waits for the document and every loadControllers/loadModels call made so far ("jqmvc:loaded" is triggered
+             * before fnc is called).  If something failed to load, fnc is not called and errorFnc gets an Error whose
+             * "errors" list the load errors (see the "jqmvc:loadError" event); without errorFnc the Error is thrown.
+             * fnc and errorFnc are called outside of the promise, so their exceptions are thrown as usual.
+             * Without fnc the returned promise is rejected with that Error instead.
              ```
              app.ready(function(){
                 //execute startup functions for app
-             });
+             }, function(err){ console.log(err.errors); });
+             app.ready().then(function(){ ... }, function(err){ console.log(err.errors); });
              ```
-             *@param {Function} fnc
-             *@title app.ready(func);
+             *@param {Function} [fnc]
+             *@param {Function} [errorFnc]
+             *@return {Promise}
+             *@title app.ready(func, [errorFunc]);
              */
-            ready: function(fnc) {
-                if (!this.loaded) {
-                    $(document).one("jqmvc:loaded", fnc);
-                } else {
-                    fnc();
+            ready: function(fnc, errorFnc) {
+                var that = this;
+                this._watchLoading();
+                var promise = documentReady().then(function() {
+                    return that._waitLoading();
+                }).then(function() {
+                    if (that._loadErrors.length) {
+                        var error = new Error(that._loadErrors.length + " file(s) failed to load");
+                        error.errors = that._loadErrors.slice(0);
+                        throw error;
+                    }
+                });
+                if (!fnc) {
+                    return promise;
                 }
+
+                return promise.then(function() {
+                    return fnc;
+                }, function(error) {
+                    return function() {
+                        if (!errorFnc) {
+                            throw error;
+                        }
+                        errorFnc(error);
+                    };
+                }).then(function(callback) {
+                    return new Promise(function(resolve) {
+                        setTimeout(function() {
+                            resolve();
+                            callback();
+                        }, 0);
+                    });
+                });
+            },
+
+            /**
+             * Internal function that triggers "jqmvc:loaded" (once) when all loads are done without errors.
+             * The event is triggered outside of the promise, so exceptions of its handlers are thrown as usual.
+             * @api private
+             */
+            _watchLoading: function() {
+                var that = this;
+                documentReady().then(function() {
+                    return that._waitLoading();
+                }).then(function() {
+                    setTimeout(function() {
+                        if (!that.loaded && !that._loadErrors.length) {
+                            that.loaded = true;
+                            $(document).trigger("jqmvc:loaded");
+                        }
+                    }, 0);
+                });
+            },
+
+            /**
+             * Internal function that waits for all loads, including loads started while waiting
+             * @return {Promise}
+             * @api private
+             */
+            _waitLoading: function() {
+                var that = this;
+                var loading = this._loading;
+                return loading.then(function() {
+                    return loading === that._loading ? undefined : that._waitLoading();
+                });
             },
+
+            /**
+             * Internal function that adds loads to the promises app.ready waits for (every failed load is recorded).
+             * The errors are reported by "jqmvc:loadError" and app.ready, so callers may ignore the returned promise.
+             * @param {Array} promises
+             * @return {Promise} resolves when all loads are done, rejects with the first load error
+             * @api private
+             */
+            _addLoading: function(promises) {
+                var that = this;
+                var all = Promise.all(promises);
+                this._loading = Promise.all([this._loading].concat(promises.map(function(promise) {
+                    return promise.then(null, function(error) {
+                        that._loadErrors.push(error);
+                    });
+                })));
+                this._watchLoading();
+                all.then(null, function() {
+                });
+                return all;
+            },
+
             /**
              * Load controllers for the app asynchronously.  Do not put the ".js" suffix on the controller names.
-             * When the "_controllername_:ready" events are all fired, app.ready is available
+             * The promise resolves when the "_controllername_:ready" events are all fired (views and declared models are loaded)
+             * and is rejected with the first load error.
              ```
              app.loadControllers("main")
-             app.loadControllers(["main","users","settings");
+             app.loadControllers(["main","users","settings"]).then(function(){ ... });
              ```
              *@param {String|Array} urls
+             *@return {Promise}
              *@title app.loadControllers(urls);
              */
             loadControllers: function(urls) {
                 var that = this;
-                $(document).ready(function() {
-                    that._loadTimer = setTimeout(function() {
-                        that._modelsReady = true;
-                        if (that._controllersReady) {
-                            $(document).trigger("jqmvc:loaded");
-                        }
-                    }, 1500); //Used if no models are loaded
-                    if (typeof (urls) === "string") {
-                        urls = [urls];
-                    }
-                    for (var i = 0; i < urls.length; i++) {
-                        var file = document.createElement("script");
-                        file.src = that._controllersDir + urls[i] + ".js";
-                        file.onerror = function(e) {
-                            console.log("error ", e);
-                        };
-                        $("head").append(file);
-                        that._loadedListeners[urls[i]] = 1;
-                        that._loadedListeners.length++;
-                        $(document).one(urls[i] + ":ready", function(e) {
-                            delete that._loadedListeners[e.data.name];
-                            that._loadedListeners.length--;
-                            if (that._loadedListeners.length == 0) {
-                                that._controllersReady = true;
-                                if (that._modelsReady) {
-                                    $(document).trigger("jqmvc:loaded");
-                                }
-                            }
-                        });
-                        delete file;
-                    }
-                });
+                if (typeof (urls) === "string") {
+                    urls = [urls];
+                }
+
+                return this._addLoading(urls.map(function(name) {
+                    return loadController(name, that._controllersDir);
+                }));
+            },
 
+            /**
+             * Load a views bundle: a JSON file with view id/path => template or a generated JS file that calls
+             * $.mvc.registerViews.  Controllers loaded with app.loadControllers wait for the bundle, so their views are
+             * taken from the bundle without AJAX requests.
+             ```
+             app.loadViewBundle("views/bundle.js");
+             app.loadViewBundle("views/bundle.json");
+             ```
+             *@param {String} url
+             *@return {Promise}
+             *@title app.loadViewBundle(url);
+             */
+            loadViewBundle: function(url) {
+                return this._addLoading([loadViewBundle(url)]).then(function(bundles) {
+                    return bundles[0];
+                });
             },
 
             /**
-             * Load models for the app asynchronously.  Do not put the ".js" suffix on the controller names.
-             *
+             * Load models for the app asynchronously.  Do not put the ".js" suffix on the model names.
+             * Every model file is only loaded once, even if controllers declare it in their "models" list.
              ```
              app.loadModels("main")
-             app.loadModels(["main","users","settings");
+             app.loadModels(["main","users","settings"]).then(function(){ ... });
              ```
              *@param {String|Array} urls
+             *@return {Promise}
              *@title app.loadModels(urls);
              */
             loadModels: function(urls) {
                 var that = this;
+                if (typeof (urls) === "string") {
+                    urls = [urls];
+                }
 
-                clearTimeout(this._loadTimer);
-                $(document).ready(function() {
-                    if (typeof (urls) === "string") {
-                        urls = [urls];
-                    }
-                    that._totalModels = urls.length;
-
-                    for (var i = 0; i < urls.length; i++) {
-                        var file = document.createElement("script");
-                        file.src = that._modelsDir + urls[i] + ".js";
-                        file.onload = function() {
-                            that._modelsLoaded++;
-                            if (that._modelsLoaded >= that._totalModels) {
-                                that._modelsReady = true;
-                                if (that._controllersReady) {
-                                    $(document).trigger("jqmvc:loaded");
-                                }
-                            }
-                        };
-                        file.onerror = function(e) {
-                            console.log("error ", e);
-                        };
-                        $("head").append(file);
-                        delete file;
-                    }
-                });
+                return this._addLoading(urls.map(function(name) {
+                    return requireModel(name, that._modelsDir);
+                }));
             }
 
         };
@@ -197,7 +374,12 @@
      * Internal object for global app settings
      */
     $.mvc._app = {
-        _templateType: "text/html"
+        _templateType: "text/html",
+        _templateEngine: null,
+        _loadRetries: 0,
+        _loadRetryDelay: 1000,
+        _controllersDir: "controllers/",
+        _modelsDir: "models/"
     }
 
     /**
@@ -213,6 +395,222 @@
     var viewsLoaded = {};
     var modelsLoaded = {};
     var controllerReady = {};
+    var readyControllers = {};
+    var failedControllers = {};
+    var controllerViews = {};
+    var bundledViews = {};
+    var compiledViews = {};
+    var viewBundles = [];
+    var controllerBindings = {};
+    var modelPromises = {};
+    var controllerPromises = {};
+    var failedLoads = {};
+
+    /**
+     * Internal function that resolves when the document is ready
+     * @return {Promise}
+     * @api private
+     */
+    function documentReady() {
+        return new Promise(function(resolve) {
+            $(document).ready(resolve);
+        });
+    }
+
+    /**
+     * Internal function that creates a load error and triggers the "jqmvc:loadError" event with {file, type, status, error}
+     * @param {String} file
+     * @param {String} type controller|model|view
+     * @param {Number|null} status HTTP status (null if unknown)
+     * @param {String} [message]
+     * @return {Error} with file, type and status properties
+     * @api private
+     */
+    function loadError(file, type, status, message) {
+        var error = new Error(message || "failed to load " + type + " '" + file + "'" + (status ? " (HTTP " + status + ")" : ""));
+        error.file = file;
+        error.type = type;
+        error.status = status;
+        $(document).trigger("jqmvc:loadError", {file: file, type: type, status: status, error: error});
+        return error;
+    }
+
+    /**
+     * Internal function that calls load(resolve, reject) again after a failure until the retries are used up
+     * @param {Function} load function(resolve, reject)
+     * @return {Promise}
+     * @api private
+     */
+    function withRetries(load) {
+        return new Promise(function(resolve, reject) {
+            var attempts = 0;
+            (function attempt() {
+                load(resolve, function(error) {
+                    if (attempts++ < $.mvc._app._loadRetries) {
+                        setTimeout(attempt, $.mvc._app._loadRetryDelay);
+                    } else {
+                        reject(error);
+                    }
+                });
+            })();
+        });
+    }
+
+    /**
+     * Internal function that gets the HTTP status of a file (script tags do not report it)
+     * @param {String} src
+     * @param {Function} callback function(status) with null if the status is unknown
+     * @api private
+     */
+    function probeStatus(src, callback) {
+        try {
+            var xhr = new XMLHttpRequest();
+            xhr.open("HEAD", src, true);
+            xhr.onreadystatechange = function() {
+                if (xhr.readyState == 4) {
+                    callback(xhr.status || null);
+                }
+            };
+            xhr.send();
+        } catch (e) {
+            callback(null);
+        }
+    }
+
+    /**
+     * Internal function that loads a script file by appending a script tag to the head
+     * @param {String} src
+     * @param {String} type controller|model (for load errors)
+     * @return {Promise}
+     * @api private
+     */
+    function loadScript(src, type) {
+        return withRetries(function(resolve, reject) {
+            var file = document.createElement("script");
+            file.src = src;
+            file.onload = resolve;
+            file.onerror = function() {
+                file.parentNode && file.parentNode.removeChild(file);
+                reject();
+            };
+            $("head").append(file);
+        }).then(null, function() {
+            return new Promise(function(resolve, reject) {
+                probeStatus(src, function(status) {
+                    reject(loadError(src, type, status));
+                });
+            });
+        });
+    }
+
+    /**
+     * Internal function that loads a controller file and resolves when the controller is ready.
+     * A pending load is shared, failed loads are remembered (see failedLoads) until the controller is loaded again.
+     * @param {String} name
+     * @param {String} [dir] defaults to the controllers dir of the app
+     * @return {Promise}
+     * @api private
+     */
+    function loadController(name, dir) {
+        if (controllerPromises[name]) {
+            return controllerPromises[name];
+        }
+
+        var file = (dir || $.mvc._app._controllersDir) + name + ".js";
+        var ready = whenControllerReady(name);
+        ready.then(null, function() {
+            //rejections are passed on below, this only avoids an unhandled rejection if the script fails
+        });
+
+        delete failedLoads[name];
+        var promise = documentReady().then(function() {
+            return Promise.all(viewBundles);
+        }).then(function() {
+            return loadScript(file, "controller");
+        }).then(function() {
+            if (!$.mvc.controller[name]) {
+                throw loadError(file, "controller", null, "controller '" + name + "' was not created by '" + file + "'");
+            }
+            return ready;
+        });
+        controllerPromises[name] = promise;
+        promise.then(function() {
+            delete controllerPromises[name];
+        }, function(error) {
+            delete controllerPromises[name];
+            failedLoads[name] = error;
+        });
+        return promise;
+    }
+
+    /**
+     * Internal function that loads a model file once
+     * @param {String} name model name (file name without ".js")
+     * @param {String} [dir] defaults to the models dir of the app
+     * @return {Promise}
+     * @api private
+     */
+    function requireModel(name, dir) {
+        if (!modelPromises[name]) {
+            modelPromises[name] = documentReady().then(function() {
+                return loadScript((dir || $.mvc._app._modelsDir) + name + ".js", "model");
+            });
+        }
+        return modelPromises[name];
+    }
+
+    /**
+     * Internal function that resolves when the "_controllername_:ready" event is (or was) fired.
+     * It is rejected when a view or model of the controller failed to load ("_controllername_:loadError").
+     * @param {String} name
+     * @return {Promise}
+     * @api private
+     */
+    function whenControllerReady(name) {
+        return new Promise(function(resolve, reject) {
+            if (readyControllers[name]) {
+                return resolve($.mvc.controller[name]);
+            }
+            if (failedControllers[name]) {
+                return reject(failedControllers[name]);
+            }
+            var onReady = function() {
+                $(document).off(name + ":loadError", onError);
+                resolve($.mvc.controller[name]);
+            };
+            var onError = function(e) {
+                $(document).off(name + ":ready", onReady);
+                reject(e.data.error);
+            };
+            $(document).one(name + ":ready", onReady);
+            $(document).one(name + ":loadError", onError);
+        });
+    }
+
+    /**
+     * Internal function that marks a controller as failed, because a view or model could not be loaded
+     * @param {String} name
+     * @param {Error} error
+     * @api private
+     */
+    function controllerFailed(name, error) {
+        failedControllers[name] = error;
+        $(document).trigger(name + ":loadError", {name: name, error: error});
+    }
+
+    /**
+     * Internal function that fires the ready event and calls init, when the views and models of a controller are loaded
+     * @param {String} name
+     * @api private
+     */
+    function checkControllerReady(name) {
+        if (!readyControllers[name] && viewsLoaded[name] == viewsTotal[name] && modelsLoaded[name] == modelsTotal[name]) {
+            readyControllers[name] = true;
+            bindControllerEvents(name);
+            $(document).trigger(name + ":ready", {'name': name});
+            controllerReady[name] && controllerReady[name].init.apply(controllerReady[name]);
+        }
+    }
 
 
     $.mvc.controller = {};
@@ -226,14 +624,50 @@
      If you want to execute something when a controller is available, you can set an 'init' function on the object, or listen for
      the "_controllername_:ready" event
 
+     The router calls onEnter(args, params) when a route switches to the controller and onLeave() when it switches away.
+     Events bound with this.bindEvent(target, events, [selector], fnc) are removed by $.mvc.controller.destroy.
+
+     DOM events can be declared in an "events" map ("event selector": function or function name).  They are delegated to
+     the document when the controller is ready; the function gets the event and the element, "this" is the controller.
+     ```
+     $.mvc.controller.create("todo",{events:{"click .check":"toggle","submit #form":"save"},toggle:function(evt, el){}});
+     ```
+
+     A controller can extend another controller and use mixins (controller names or plain objects).  Overridden functions
+     can call the parent function with this._super().  Views and models are merged, hooks are concatenated and init,
+     onEnter, onLeave and onDestroy are chained (parents first) unless the override calls this._super().
+     ```
+     $.mvc.controller.create("customers",{extends:"crud",mixins:[pagingMixin],list:function(){ this._super(); }});
+     ```
+
+     Views are rendered into layout regions (see $.mvc.addRegion) with this.render(view, data, [region]).  The default
+     region is the "region" property of the controller or "main".
+     ```
+     $.mvc.controller.create("todo",{region:"main",list:function(){ this.render("list_tpl", {items: []}); }});
+     ```
+
+     Controllers can declare the models they need.  They are loaded from the models dir (once) before the controller is ready.
+     ```
+     $.mvc.controller.create("todo",{models:["todo"],views:{"list_tpl":"views/list.tpl"},init:function(){}});
+     ```
+
      * @param {String} name Controller name
      * @param {Object} obj Controller object
+     * @return {Object} the controller (a merged copy of obj, if it extends a controller or uses mixins)
+     * @throws Error if a base controller or mixin or a function of the events map does not exist
      * @title $.mvc.controller.create
      */
     $.mvc.controller.create = function(name, obj) {
 
-        var loaded = true;
+        var views = [];
+        if (obj.hasOwnProperty("extends") || obj.hasOwnProperty("mixins")) {
+            obj = inheritController(obj);
+        }
+        checkControllerEvents(name, obj);
+        unbindControllerEvents(name);
         $.mvc.controller[name] = obj;
+        readyControllers[name] = false;
+        delete failedControllers[name];
         viewsTotal[name] = 0;
         viewsLoaded[name] = 0;
         modelsLoaded[name] = 0;
@@ -242,8 +676,6 @@
             controllerReady[name] = obj;
         }
         if (obj.hasOwnProperty("views") && (obj.views.length > 0 || Object.keys(obj.views).length) > 0) {
-            loaded = false;
-            viewsTotal[name] = obj.views.length || Object.keys(obj.views).length;
             for (var i in obj.views) {
                 if (!obj.views.hasOwnProperty(i)) {
                     continue;
@@ -251,108 +683,1379 @@
 
                 var shortName = $.isArray(obj.views) ? obj.views[i] : i;
                 if (!viewsCache[shortName] && jq("#" + shortName).length == 0) {
-                    $.mvc.controller.addView(obj.views[i], name, shortName);
+                    if ($.mvc._app._templateEngine === templateEngines.jq && $.template && $.template.has(shortName)) {
+                        //precompiled template, see tools/precompile-templates.js
+                        viewsCache[shortName] = 1;
+                        continue;
+                    }
+                    if (bundledViews.hasOwnProperty(shortName) || bundledViews.hasOwnProperty(obj.views[i])) {
+                        appendView(shortName, bundledViews.hasOwnProperty(shortName) ? bundledViews[shortName] : bundledViews[obj.views[i]]);
+                        continue;
+                    }
+                    views.push([obj.views[i], shortName]);
                     viewsCache[shortName] = 1;
                 }
             }
-
+            viewsTotal[name] = views.length;
         }
-
-        if (loaded) {
-            $(document).trigger(name + ":ready", {'name': name});
-            controllerReady[name] && controllerReady[name].init.apply(controllerReady[name]);
+        controllerViews[name] = views.map(function(view) {
+            return view[1];
+        });
+        if (!obj.hasOwnProperty("bindEvent")) {
+            obj.bindEvent = function(target, events, selector, fnc) {
+                bindControllerEvent(name, target, events, selector, fnc);
+            };
+        }
+        if (!obj.hasOwnProperty("render")) {
+            obj.render = function(view, data, region) {
+                return renderView(name, view, data, region || this.region);
+            };
+        }
+        if (obj.hasOwnProperty("models")) {
+            var models = [].concat(obj.models);
+            modelsTotal[name] = models.length;
+            models.forEach(function(model) {
+                requireModel(model).then(function() {
+                    modelsLoaded[name]++;
+                    checkControllerReady(name);
+                }, function(error) {
+                    controllerFailed(name, error);
+                });
+            });
         }
+
+        views.forEach(function(view) {
+            $.mvc.controller.addView(view[0], name, view[1]);
+        });
+        checkControllerReady(name);
         return $.mvc.controller[name];
 
     };
 
     /**
-     * This handles the routing of the action using MVC style url routes (/controller/action/param1/param2/)
-     * This is can be called manually, or using the jqUi custom click handler
+     * Removes a controller: calls onLeave() (if it is the active controller) and onDestroy(), unbinds the events bound with
+     * bindEvent() and optionally removes the views it loaded.  Triggers "_controllername_:destroy".
      ```
-     $.mvc.route("/main/list/foo/bar");
+     $.mvc.controller.destroy("todo");
+     $.mvc.controller.destroy("todo", true); //remove the loaded views, too
      ```
-     * @param {String} url string
-     * @param {Object} [evt] - used to prevent default for anchor clicks, etc
-     * @title $.mvc.controller.route
+     * @param {String} name Controller name
+     * @param {Boolean} [removeViews]
+     * @return {Boolean} false if there is no such controller
+     * @title $.mvc.controller.destroy
      */
-    $.mvc.route = function(url, evt) {
-        if (typeof (url) !== "string" && url.nodeName && url.nodeName.toLowerCase() == "a") {
-            url = url.href;
+    $.mvc.controller.destroy = function(name, removeViews) {
+        var obj = $.mvc.controller[name];
+        if (!obj || $.isFunction(obj)) {
+            return false;
         }
-        var route, axt;
 
-        url = String(url);
-        if (url.indexOf(baseUrl) === 0) {
-            url = url.substring(baseUrl.length, url.length);
-        }
-        if (url[0] == "/") {
-            url = url.substr(1);
+        if (activeController === name) {
+            activeController = null;
+            $.isFunction(obj.onLeave) && obj.onLeave();
         }
-        if (url[url.length - 1] == "/") {
-            url = url.slice(0, -1);
+        $.isFunction(obj.onDestroy) && obj.onDestroy();
+
+        unbindControllerEvents(name);
+        if (removeViews) {
+            (controllerViews[name] || []).forEach(function(id) {
+                $("#" + id).remove();
+                delete viewsCache[id];
+                delete compiledViews[id];
+            });
         }
-        url = url.split("/");
 
-        if (url.length > 1) {
-            route = url.splice(0, 1);
-            axt = url.splice(0, 1);
-        } else {
-            route = url[0];
-            axt = "default";
+        $(document).trigger(name + ":destroy", {name: name});
+        [controllerReady, readyControllers, failedControllers, controllerViews, controllerBindings,
+            viewsTotal, viewsLoaded, modelsTotal, modelsLoaded, $.mvc.controller].forEach(function(cache) {
+                delete cache[name];
+            });
+        return true;
+    };
+
+    /**
+     * Internal list of controller functions that are chained instead of overwritten by inheritance
+     * @api private
+     */
+    var chainedFunctions = ["init", "onEnter", "onLeave", "onDestroy"];
+
+    /**
+     * Internal function that merges the base controller ("extends"), the mixins and the controller object into a new object
+     * @param {Object} obj
+     * @return {Object}
+     * @throws Error if a base controller or mixin does not exist
+     * @api private
+     */
+    function inheritController(obj) {
+        var result = {};
+        var parents = (obj["extends"] ? [obj["extends"]] : []).concat(obj.mixins || []).map(function(parent) {
+            var source = typeof (parent) === "string" ? $.mvc.controller[parent] : parent;
+            if (!source || $.isFunction(source)) {
+                throw new Error("base controller or mixin '" + parent + "' does not exist");
+            }
+            return source;
+        });
+
+        parents.concat([obj]).forEach(function(source) {
+            for (var key in source) {
+                if (source.hasOwnProperty(key) && key != "extends" && key != "mixins" && key != "bindEvent" && key != "render") {
+                    result[key] = inheritProperty(key, result[key], source[key]);
+                }
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Internal function that merges an inherited controller property with the overriding value
+     * @param {String} key
+     * @param {*} current inherited value
+     * @param {*} value overriding value
+     * @return {*}
+     * @api private
+     */
+    function inheritProperty(key, current, value) {
+        if (current === undefined) {
+            return value;
         }
-        if ($.mvc.controller[route] && $.mvc.controller[route].hasOwnProperty(axt)) {
-            evt && evt.preventDefault();
-            $.mvc.controller[route][axt].apply($.mvc.controller[route], url);
-            return true;
+        if (key == "views") {
+            if ($.isArray(current) && $.isArray(value)) {
+                return uniqueList(current.concat(value));
+            }
+            return $.extend(viewsToObject(current), viewsToObject(value));
         }
-        return false;
-    };
+        if (key == "models") {
+            return uniqueList([].concat(current, value));
+        }
+        if (key == "events") {
+            return $.extend({}, current, value);
+        }
+        if (hooks.hasOwnProperty(key)) {
+            return [].concat(current, value);
+        }
+        if ($.isFunction(current) && $.isFunction(value)) {
+            if (/\b_super\b/.test(value.toString())) {
+                return function() {
+                    var previous = this._super;
+                    this._super = current;
+                    try {
+                        return value.apply(this, arguments);
+                    } finally {
+                        this._super = previous;
+                    }
+                };
+            }
+            if (chainedFunctions.indexOf(key) !== -1) {
+                return function() {
+                    current.apply(this, arguments);
+                    return value.apply(this, arguments);
+                };
+            }
+        }
+        return value;
+    }
 
-    $.mvc.addRoute = function(url, fnc) {
-        if (url.indexOf(baseUrl) === 0) {
-            url = url.substring(baseUrl.length, url.length);
+    /**
+     * Internal function that converts a views array (paths) into a views object (id => path)
+     * @param {Array|Object} views
+     * @return {Object}
+     * @api private
+     */
+    function viewsToObject(views) {
+        if (!$.isArray(views)) {
+            return $.extend({}, views);
         }
-        if (url[0] == "/") {
-            url = url.substr(1);
+        var result = {};
+        views.forEach(function(path) {
+            result[path] = path;
+        });
+        return result;
+    }
+
+    /**
+     * Internal function that removes duplicates from an array
+     * @param {Array} list
+     * @return {Array}
+     * @api private
+     */
+    function uniqueList(list) {
+        return list.filter(function(value, index) {
+            return list.indexOf(value) === index;
+        });
+    }
+
+    /**
+     * Internal registry of layout regions ($.mvc.addRegion)
+     * @api private
+     */
+    var regions = {};
+
+    /**
+     * Adds (or replaces) a named layout region for this.render() in controllers.
+     * The transition option can be a function(element, html, done) that swaps the content (done() must be called) or,
+     * for jqUi panels, the name of a jqUi transition.  jqUi panels are updated and loaded with $.ui when $.ui is present.
+     ```
+     $.mvc.addRegion("main", "#content");
+     $.mvc.addRegion("detail", "#detailPanel", {transition: "slide"});
+     $.mvc.addRegion("sidebar", "#sidebar", {transition: function(el, html, done){ el.html(html); done(); }});
+     ```
+     * @param {String} name
+     * @param {String} selector
+     * @param {Object} [options] {transition: String|Function}
+     * @title $.mvc.addRegion(name, selector, [options])
+     */
+    $.mvc.addRegion = function(name, selector, options) {
+        regions[name] = $.extend({selector: selector, transition: null, view: null}, options || {});
+    };
+
+    /**
+     * Internal function that renders a view (template) into a region.  The previous content of the region is replaced
+     * and "view:rendered" is triggered with {controller, view, region, previous, element} after the transition.
+     * @param {String} controller
+     * @param {String} view template id
+     * @param {Object} [data]
+     * @param {String} [name] region name (or a selector for unregistered regions), default: "main"
+     * @return {Object} the region element (jq object)
+     * @throws Error if the region does not exist
+     * @api private
+     */
+    function renderView(controller, view, data, name) {
+        name = name || "main";
+        var region = regions[name] || {selector: name, view: null};
+        var el = $(region.selector);
+        if (!el.length) {
+            throw new Error("region '" + name + "' does not exist");
+        }
+
+        var html = renderTemplate(view, data);
+        var info = {controller: controller, view: view, region: name, previous: region.view, element: el.get(0)};
+        var done = function() {
+            $(document).trigger("view:rendered", info);
+        };
+        var id = el.attr("id");
+
+        region.view = view;
+        if ($.isFunction(region.transition)) {
+            region.transition(el, html, done);
+        } else if ($.ui && id && el.hasClass("panel")) {
+            ($.ui.updatePanel || $.ui.updateContentDiv).call($.ui, id, html);
+            $.ui.loadContent("#" + id, false, false, region.transition || $.ui.transitionType);
+            done();
+        } else {
+            el.html(html);
+            done();
+        }
+        return el;
+    }
+
+    /**
+     * Internal function that checks the "events" map of a controller before it is created
+     * @param {String} name Controller name
+     * @param {Object} obj Controller object
+     * @throws Error if a function of the map does not exist
+     * @api private
+     */
+    function checkControllerEvents(name, obj) {
+        if (!obj.events) {
+            return;
+        }
+
+        Object.keys(obj.events).forEach(function(key) {
+            var fnc = obj.events[key];
+            if (!$.isFunction(fnc) && !$.isFunction(obj[fnc])) {
+                throw new Error("controller '" + name + "' has no function '" + fnc + "' for event '" + key + "'");
+            }
+        });
+    }
+
+    /**
+     * Internal function that binds the "events" map of a controller
+     * @param {String} name Controller name
+     * @api private
+     */
+    function bindControllerEvents(name) {
+        var obj = $.mvc.controller[name];
+        if (!obj || !obj.events) {
+            return;
+        }
+
+        Object.keys(obj.events).forEach(function(key) {
+            var fnc = obj.events[key];
+            var parts = /^(\S+)\s*(.*)$/.exec(key);
+            bindControllerEvent(name, document, parts[1], parts[2] || undefined, function(evt) {
+                return ($.isFunction(fnc) ? fnc : obj[fnc]).call(obj, evt, this);
+            });
+        });
+    }
+
+    /**
+     * Internal function that removes the events bound for a controller (events map and bindEvent)
+     * @param {String} name Controller name
+     * @api private
+     */
+    function unbindControllerEvents(name) {
+        (controllerBindings[name] || []).forEach(function(binding) {
+            $(binding[0]).off(binding[1], binding[2], binding[3]);
+        });
+        controllerBindings[name] = [];
+    }
+
+    /**
+     * Internal function that binds an event for a controller, so it can be removed when the controller is destroyed
+     * @param {String} name Controller name
+     * @param {String|Object} target selector or element
+     * @param {String} events
+     * @param {String|Function} [selector] delegation selector
+     * @param {Function} fnc
+     * @api private
+     */
+    function bindControllerEvent(name, target, events, selector, fnc) {
+        if ($.isFunction(selector)) {
+            fnc = selector;
+            selector = undefined;
+        }
+        $(target).on(events, selector, fnc);
+        controllerBindings[name] && controllerBindings[name].push([target, events, selector, fnc]);
+    }
+
+    /**
+     * Internal route table for pattern routes registered via $.mvc.addRoute
+     * @api private
+     */
+    var routes = [];
+    var namedRoutes = {};
+    var paramSegment = /^:(\w+)(?:\((.+)\))?(\?)?$/;
+
+    /**
+     * Internal lists of global route hooks registered via $.mvc.before, $.mvc.after and $.mvc.guard
+     * @api private
+     */
+    var hooks = {before: [], after: [], guard: []};
+
+    /**
+     * Internal list of controller properties that are no actions (hooks, lifecycle functions, settings)
+     * @api private
+     */
+    var reservedActions = Object.keys(hooks).concat(["init", "views", "models", "events", "onEnter", "onLeave", "onDestroy", "bindEvent", "render", "region", "_super"]);
+    var maxRedirects = 10;
+
+    /**
+     * Internal routing mode ("" = plain routing, "hash" = listenHashChange, "pushState" = listenPushState)
+     * @api private
+     */
+    var activeController = null;
+    var routingMode = "";
+    var currentUrl = null;
+    var ignoreHash = null;
+
+    /**
+     * Internal navigation history for $.mvc.history (kept in sessionStorage)
+     * @api private
+     */
+    var historyKey = "jqmvc_history";
+    var historyMax = 50;
+    var navHistory = loadHistory();
+
+    /**
+     * Internal settings for unmatched routes ($.mvc.notFound, $.mvc.defaultRoute)
+     * @api private
+     */
+    var notFoundHandler = null;
+    var defaultRoute = null;
+
+    /**
+     * Internal settings for lazy loaded controllers (app.lazyControllers, $.mvc.loading)
+     * @api private
+     */
+    var lazyControllers = false;
+    var loadingHooks = [];
+
+    /**
+     * Internal function that returns the path of the base url (without protocol and host)
+     * @return {String}
+     * @api private
+     */
+    function getBasePath() {
+        return baseUrl.replace(/^\w+:\/\/[^\/]*/, "");
+    }
+
+    /**
+     * Internal function that strips the base url (or base path), a query string and leading/trailing slashes from an url
+     * @param {String} url
+     * @return {String}
+     * @api private
+     */
+    function normalizeUrl(url) {
+        var basePath = getBasePath();
+        url = String(url);
+        if (url.indexOf(baseUrl) === 0) {
+            url = url.substring(baseUrl.length, url.length);
+        } else if (basePath && (url + "/").indexOf(basePath + "/") === 0) {
+            url = url.substring(basePath.length, url.length);
+        }
+        if (url.indexOf("?") !== -1) {
+            url = url.substring(0, url.indexOf("?"));
+        }
+        if (url[0] == "/") {
+            url = url.substr(1);
+        }
+        if (url[url.length - 1] == "/") {
+            url = url.slice(0, -1);
+        }
+        return url;
+    }
+
+    /**
+     * Internal function that compiles a route pattern into a regular expression.
+     * Supported segments:
+     *  - static text: "/customers"
+     *  - named parameter: "/:id"
+     *  - named parameter with inline constraint: "/:id(\\d+)"
+     *  - optional parameter: "/:id?"
+     *  - wildcard (rest of the url): "/*" or "/*path"
+     * @param {String} pattern
+     * @return {Object} {regex: RegExp, keys: Array}
+     * @api private
+     */
+    function compileRoute(pattern) {
+        var keys = [];
+        var source = "";
+        var segments = String(pattern).split("/");
+
+        for (var i = 0; i < segments.length; i++) {
+            var segment = segments[i], parts;
+            if (segment === "") {
+                continue;
+            }
+            if (segment[0] == "*") {
+                keys.push(segment.substr(1) || "splat");
+                source += "(?:/(.*))?";
+            } else if ((parts = paramSegment.exec(segment))) {
+                keys.push(parts[1]);
+                source += parts[3] ? "(?:/(" + (parts[2] || "[^/]+") + "))?" : "/(" + (parts[2] || "[^/]+") + ")";
+            } else {
+                source += "/" + segment.replace(/[\-\[\]{}()*+?.,\\^$|#]/g, "\\$&");
+            }
+        }
+
+        return {regex: new RegExp("^" + source + "/?$"), keys: keys};
+    }
+
+    /**
+     * Internal function that builds the path for a route pattern with the given params
+     * @param {String} pattern
+     * @param {Object} params
+     * @return {String} path without leading slash
+     * @throws Error if a required parameter is missing
+     * @api private
+     */
+    function buildPath(pattern, params) {
+        var segments = String(pattern).split("/");
+        var path = [];
+
+        for (var i = 0; i < segments.length; i++) {
+            var segment = segments[i], parts, key;
+            if (segment === "") {
+                continue;
+            }
+            if (segment[0] == "*") {
+                key = segment.substr(1) || "splat";
+                if (params[key] !== undefined && params[key] !== null) {
+                    path.push(String(params[key]).split("/").map(encodeURIComponent).join("/"));
+                }
+            } else if ((parts = paramSegment.exec(segment))) {
+                key = parts[1];
+                if (params[key] === undefined || params[key] === null) {
+                    if (parts[3]) {
+                        continue;
+                    }
+                    throw new Error("missing parameter '" + key + "' for route '" + pattern + "'");
+                }
+                path.push(encodeURIComponent(params[key]));
+            } else {
+                path.push(segment);
+            }
+        }
+        return path.join("/");
+    }
+
+    /**
+     * Internal function that finds the handler for an url. Pattern routes are checked first (in the order they were added),
+     * then the classic /controller/action/param1/param2 dispatch is used.
+     * @param {String} url normalized url
+     * @return {Object|null} match {handler, context, args, params, controller, action, route} or null
+     * @api private
+     */
+    function resolveRoute(url) {
+        var path = "/" + url;
+
+        for (var i = 0; i < routes.length; i++) {
+            var route = routes[i];
+            var values = route.regex.exec(path);
+            if (!values || !checkConstraints(route, values)) {
+                continue;
+            }
+            var params = {}, args = [];
+            for (var j = 0; j < route.keys.length; j++) {
+                var value = values[j + 1] !== undefined ? decodeURIComponent(values[j + 1]) : undefined;
+                params[route.keys[j]] = value;
+                args.push(value);
+            }
+
+            var match = {route: route, args: args, params: params, handler: route.handler, context: route};
+            if (typeof (route.handler) === "string") {
+                var target = route.handler.split("/");
+                match.controller = target[0];
+                match.action = target[1] || "default";
+                if (!hasAction(match.controller, match.action)) {
+                    continue;
+                }
+                match.context = $.mvc.controller[match.controller];
+                match.handler = match.context[match.action];
+            }
+            return match;
+        }
+
+        var controller, axt;
+        url = url.split("/");
+        if (url.length > 1) {
+            controller = url.splice(0, 1)[0];
+            axt = url.splice(0, 1)[0];
+        } else {
+            controller = url[0];
+            axt = "default";
+        }
+        if (hasAction(controller, axt)) {
+            return {
+                controller: controller,
+                action: axt,
+                handler: $.mvc.controller[controller][axt],
+                context: $.mvc.controller[controller],
+                args: url,
+                params: {}
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Internal function that checks if a controller has a routable action.  Hooks and lifecycle functions are not routable.
+     * @param {String} controller
+     * @param {String} action
+     * @return {Boolean}
+     * @api private
+     */
+    function hasAction(controller, action) {
+        return !!$.mvc.controller[controller] && $.mvc.controller[controller].hasOwnProperty(action)
+            && reservedActions.indexOf(action) === -1;
+    }
+
+    /**
+     * Internal function that checks the constraints of a pattern route against the matched values
+     * @param {Object} route
+     * @param {Array} values result of route.regex.exec()
+     * @return {Boolean}
+     * @api private
+     */
+    function checkConstraints(route, values) {
+        for (var key in route.constraints) {
+            if (!route.constraints.hasOwnProperty(key) || route.keys.indexOf(key) === -1) {
+                continue;
+            }
+            var value = values[route.keys.indexOf(key) + 1];
+            var constraint = route.constraints[key];
+            if (value === undefined) {
+                continue;
+            }
+            if (!(constraint instanceof RegExp)) {
+                constraint = new RegExp("^(?:" + constraint + ")$");
+            }
+            if (!constraint.test(decodeURIComponent(value))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Internal function that returns the global and controller hooks of a type for a route match.
+     * Guards and before hooks run global first, after hooks run controller first.
+     * @param {String} type before|after|guard
+     * @param {Object} match
+     * @return {Array}
+     * @api private
+     */
+    function getHooks(type, match) {
+        var controller = match.controller && $.mvc.controller[match.controller];
+        var own = controller && controller[type] ? [].concat(controller[type]) : [];
+        return type == "after" ? own.concat(hooks[type]) : hooks[type].concat(own);
+    }
+
+    /**
+     * Internal function that calls onLeave() of the previous and onEnter(args, params) of the next controller, if the
+     * route switches to another controller
+     * @param {Object} match
+     * @api private
+     */
+    function enterController(match) {
+        var name = match.controller || null;
+        if (name === activeController) {
+            return;
+        }
+
+        var previous = activeController && $.mvc.controller[activeController];
+        var next = name && $.mvc.controller[name];
+        activeController = name;
+        previous && $.isFunction(previous.onLeave) && previous.onLeave();
+        next && $.isFunction(next.onEnter) && next.onEnter(match.args, match.params);
+    }
+
+    /**
+     * Internal function that runs the guards one after another.  A guard decides by returning (or passing to next())
+     * true/undefined to continue, false to cancel or an url string to redirect.  It can also return a thenable.
+     * Guards without a next parameter continue when they return nothing.
+     * @param {Array} guards
+     * @param {Object} info route info
+     * @param {Object} context
+     * @param {Function} callback gets true, false or the redirect url
+     * @api private
+     */
+    function runGuards(guards, info, context, callback) {
+        (function next(index) {
+            if (index >= guards.length) {
+                return callback(true);
+            }
+            var decided = false;
+            var decide = function(result) {
+                if (decided) {
+                    return;
+                }
+                decided = true;
+                if (result === undefined || result === true) {
+                    next(index + 1);
+                } else {
+                    callback(result);
+                }
+            };
+            var result = guards[index].call(context, info, decide);
+            if (result && $.isFunction(result.then)) {
+                result.then(decide, function() {
+                    decide(false);
+                });
+            } else if (result !== undefined || guards[index].length < 2) {
+                decide(result);
+            }
+        })(0);
+    }
+
+    /**
+     * Internal function that resolves an url, runs the guards and executes the action with its before/after hooks
+     * @param {String} url
+     * @param {Object} [evt]
+     * @param {Object} [options] {done: function(info), cancel: function(info), redirect: function(url), redirects: Number,
+     *                            notFound: Boolean (use the not found handling for unmatched urls),
+     *                            browse: Boolean (browser back/forward, moves through the navigation history)}
+     * @return {Boolean} true if a route was found (or the not found handling took over)
+     * @api private
+     */
+    function navigate(url, evt, options) {
+        options = options || {};
+        url = normalizeUrl(url);
+
+        var match = resolveRoute(url);
+        var lazy = match ? null : findLazyController(url);
+        if (lazy || (match && match.controller && readyControllers[match.controller] === false)) {
+            evt && evt.preventDefault();
+            waitForController(lazy || match.controller, !!lazy).then(function() {
+                navigate(url, null, $.extend({}, options, {notFound: true}));
+            }, function() {
+                routeNotFound(url, null, options);
+            });
+            return true;
+        }
+        if (!match) {
+            return options.notFound ? routeNotFound(url, evt, options) : false;
+        }
+        evt && evt.preventDefault();
+
+        var info = {
+            url: "/" + url,
+            controller: match.controller,
+            action: match.action,
+            args: match.args,
+            params: match.params
+        };
+        runGuards(getHooks("guard", match), info, match.context, function(result) {
+            if (result === true) {
+                if (!options.replay && !(options.browse && browseHistory(info))) {
+                    addHistory(info);
+                }
+                enterController(match);
+                getHooks("before", match).forEach(function(fnc) {
+                    fnc.call(match.context, info);
+                });
+                match.handler.apply(match.context, match.route ? match.args.concat([match.params]) : match.args);
+                getHooks("after", match).forEach(function(fnc) {
+                    fnc.call(match.context, info);
+                });
+                options.done && options.done(info);
+            } else if (typeof (result) === "string" && (options.redirects || 0) < maxRedirects) {
+                options.redirect && options.redirect(result);
+                navigate(result, null, $.extend({}, options, {redirects: (options.redirects || 0) + 1, notFound: true}));
+            } else {
+                options.cancel && options.cancel(info);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Internal function that returns the name of a controller that can be lazy loaded for an url (see app.lazyControllers).
+     * Pattern routes with a "controller/action" target are checked first, then the first url segment is used.
+     * Controllers that failed to load are not requested again.
+     * @param {String} url normalized url
+     * @return {String|null}
+     * @api private
+     */
+    function findLazyController(url) {
+        if (!lazyControllers) {
+            return null;
+        }
+
+        var path = "/" + url, name = null, values;
+        for (var i = 0; i < routes.length && !name; i++) {
+            if (typeof (routes[i].handler) === "string" && (values = routes[i].regex.exec(path)) && checkConstraints(routes[i], values)) {
+                name = routes[i].handler.split("/")[0];
+                if ($.mvc.controller[name]) {
+                    name = null;
+                }
+            }
+        }
+        name = name || url.split("/")[0];
+        if (!name || $.mvc.controller[name] || failedLoads[name] || (lazyControllers !== true && lazyControllers.indexOf(name) === -1)) {
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Internal function that waits for a controller (and loads it first if lazy is true).  The loading hooks are
+     * called with true before and false after waiting.
+     * @param {String} name
+     * @param {Boolean} lazy
+     * @return {Promise}
+     * @api private
+     */
+    function waitForController(name, lazy) {
+        var loading = function(state) {
+            loadingHooks.forEach(function(fnc) {
+                fnc(state, name);
+            });
+        };
+
+        loading(true);
+        var promise = lazy ? loadController(name) : whenControllerReady(name);
+        promise.then(function() {
+            loading(false);
+        }, function() {
+            loading(false);
+        });
+        return promise;
+    }
+
+    /**
+     * Internal function for unmatched urls.  Triggers "jqmvc:routeNotFound" and calls the not found handler or
+     * redirects to the default route.
+     * @param {String} url normalized url
+     * @param {Object} [evt]
+     * @param {Object} options see navigate()
+     * @return {Boolean} true if the not found handler or the default route took over
+     * @api private
+     */
+    function routeNotFound(url, evt, options) {
+        var info = {url: "/" + url};
+        var redirects = options.redirects || 0;
+
+        $(document).trigger("jqmvc:routeNotFound", info);
+        if (notFoundHandler) {
+            evt && evt.preventDefault();
+            notFoundHandler(info);
+            return true;
+        }
+        if (defaultRoute !== null && normalizeUrl(defaultRoute) != url && redirects < maxRedirects) {
+            evt && evt.preventDefault();
+            options.redirect && options.redirect(defaultRoute);
+            return navigate(defaultRoute, null, $.extend({}, options, {redirects: redirects + 1, notFound: false}));
+        }
+        return false;
+    }
+
+    /**
+     * Internal function that checks if an url is a link inside the app (no other host and no in-page hash link)
+     * @param {String} url
+     * @return {Boolean}
+     * @api private
+     */
+    function isAppUrl(url) {
+        return url.indexOf("#") === -1 && (!/^\w+:/.test(url) || (url + "/").indexOf(baseUrl + "/") === 0);
+    }
+
+    /**
+     * Internal function that replaces the location hash without routing it again.
+     * An empty hash removes the fragment (replace("") would reload the page).
+     * @param {String} hash
+     * @api private
+     */
+    function setHash(hash) {
+        if (hash == "#") {
+            hash = "";
+        }
+        if (hash != document.location.hash) {
+            if (!hash && window.history && window.history.replaceState) {
+                window.history.replaceState(window.history.state, "", document.location.pathname + document.location.search);
+                return;
+            }
+            ignoreHash = hash;
+            document.location.replace(hash || "#");
+        }
+    }
+
+    /**
+     * Internal function that loads the navigation history from the sessionStorage
+     * @return {Object} {stack: Array, index: Number}
+     * @api private
+     */
+    function loadHistory() {
+        var data = null;
+        try {
+            data = JSON.parse(window.sessionStorage.getItem(historyKey));
+        } catch (e) {
+        }
+        return data && $.isArray(data.stack) ? data : {stack: [], index: -1};
+    }
+
+    /**
+     * Internal function that saves the navigation history in the sessionStorage
+     * @api private
+     */
+    function saveHistory() {
+        try {
+            window.sessionStorage.setItem(historyKey, JSON.stringify(navHistory));
+        } catch (e) {
+        }
+    }
+
+    /**
+     * Internal function that records a route in the navigation history.  Forward entries are dropped.
+     * @param {Object} info route info
+     * @api private
+     */
+    function addHistory(info) {
+        navHistory.stack.splice(navHistory.index + 1);
+        navHistory.stack.push(info);
+        if (navHistory.stack.length > historyMax) {
+            navHistory.stack.shift();
+        }
+        navHistory.index = navHistory.stack.length - 1;
+        saveHistory();
+    }
+
+    /**
+     * Internal function that moves to the navigation history entry of a browser back/forward navigation.
+     * The entry is found by the index stored in the history state (see markHistory).
+     * @param {Object} info route info
+     * @return {Boolean} false if the state has no matching entry (the route is recorded as a new entry then)
+     * @api private
+     */
+    function browseHistory(info) {
+        var state = window.history && window.history.state;
+        var index = state ? state.index : null;
+        if (typeof (index) !== "number" || !navHistory.stack[index] || navHistory.stack[index].url != info.url) {
+            return false;
+        }
+        navHistory.stack[index] = info;
+        navHistory.index = index;
+        saveHistory();
+        return true;
+    }
+
+    /**
+     * Internal function that stores the current navigation history index in the state of the browser history entry
+     * @api private
+     */
+    function markHistory() {
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState($.extend({}, window.history.state, {index: navHistory.index}), "", document.location.href);
+        }
+    }
+
+    /**
+     * Internal function that routes to an entry of the navigation history again.
+     * The location (hash or pushState url) is replaced to match the entry.
+     * @param {Number} index
+     * @return {Boolean} true if the entry exists and has a route
+     * @api private
+     */
+    function replayHistory(index) {
+        var previous = navHistory.index;
+        if (index < 0 || index >= navHistory.stack.length) {
+            return false;
+        }
+
+        navHistory.index = index;
+        var found = navigate(navHistory.stack[index].url, null, {
+            replay: true,
+            done: function(info) {
+                saveHistory();
+                if (routingMode == "hash") {
+                    setHash("#" + info.url);
+                    markHistory();
+                } else if (routingMode == "pushState") {
+                    currentUrl = baseUrl + info.url;
+                    window.history.replaceState({url: currentUrl, index: navHistory.index}, "", currentUrl);
+                }
+            },
+            cancel: function() {
+                navHistory.index = previous;
+            }
+        });
+        if (!found) {
+            navHistory.index = previous;
+        }
+        return found;
+    }
+
+    /**
+     * Navigation history of the router.  Every successful route is recorded with its arguments and kept in the
+     * sessionStorage, so an in-app back button still works after a reload.
+     ```
+     $("#backButton").on("click", function(){ $.mvc.history.back(); });
+     $.mvc.history.current(); // {url: "/todo/edit/3", controller: "todo", action: "edit", args: ["3"], params: {}}
+     ```
+     * @title $.mvc.history
+     */
+    $.mvc.history = {
+        /**
+         * Routes to the previous entry
+         * @return {Boolean} false if there is no previous entry
+         * @title $.mvc.history.back()
+         */
+        back: function() {
+            return replayHistory(navHistory.index - 1);
+        },
+        /**
+         * Routes to the next entry (after back())
+         * @return {Boolean} false if there is no next entry
+         * @title $.mvc.history.forward()
+         */
+        forward: function() {
+            return replayHistory(navHistory.index + 1);
+        },
+        /**
+         * Returns the current entry {url, controller, action, args, params} or null
+         * @return {Object|null}
+         * @title $.mvc.history.current()
+         */
+        current: function() {
+            return navHistory.index >= 0 ? $.extend({}, navHistory.stack[navHistory.index]) : null;
+        },
+        /**
+         * Returns a copy of all entries (oldest first)
+         * @return {Array}
+         * @title $.mvc.history.stack()
+         */
+        stack: function() {
+            return navHistory.stack.slice(0);
+        },
+        /**
+         * Removes all entries
+         * @title $.mvc.history.clear()
+         */
+        clear: function() {
+            navHistory = {stack: [], index: -1};
+            saveHistory();
+        }
+    };
+
+    /**
+     * Internal function that adds a history entry for a route in pushState mode.
+     * The entry is replaced if the url is the current location (e.g. the first route after loading).
+     * @param {Object} info route info
+     * @api private
+     */
+    function pushHistory(info) {
+        var url = baseUrl + info.url;
+        var location = document.location.protocol + "//" + document.location.host + document.location.pathname;
+
+        currentUrl = url;
+        if (normalizeUrl(location) == normalizeUrl(url)) {
+            window.history.replaceState({url: url, index: navHistory.index}, "", url);
+        } else {
+            window.history.pushState({url: url, index: navHistory.index}, "", url);
+        }
+    }
+
+    /**
+     * This handles the routing of the action using MVC style url routes (/controller/action/param1/param2/)
+     * or the pattern routes registered with $.mvc.addRoute.
+     * This is can be called manually, or using the jqUi custom click handler.
+     * Guards can cancel or redirect the navigation, so the action might run later or not at all.
+     * Unmatched urls trigger "jqmvc:routeNotFound" (for anchor clicks only in pushState mode).
+     ```
+     $.mvc.route("/main/list/foo/bar");
+     $.mvc.route("/customers/5/orders/12");
+     ```
+     * @param {String} url string
+     * @param {Object} [evt] - used to prevent default for anchor clicks, etc
+     * @return {Boolean} true if a route was found
+     * @title $.mvc.controller.route
+     */
+    $.mvc.route = function(url, evt) {
+        if (typeof (url) !== "string" && url.nodeName && url.nodeName.toLowerCase() == "a") {
+            url = url.href;
+        }
+
+        var options = routingMode == "pushState" ? {done: pushHistory} : (routingMode == "hash" ? {done: markHistory} : {});
+        url = String(url);
+        options.notFound = !evt || (routingMode == "pushState" && isAppUrl(url));
+
+        return navigate(url, evt, options);
+    };
+
+    /**
+     * Sets the handler for urls without a matching route.  The "jqmvc:routeNotFound" event is triggered either way.
+     ```
+     $.mvc.notFound(function(route){
+        $("#content").html($.template("not_found_tpl", route));
+     });
+     ```
+     * @param {Function|null} fnc function(route) with route = {url}
+     * @title $.mvc.notFound(fnc)
+     */
+    $.mvc.notFound = function(fnc) {
+        notFoundHandler = fnc || null;
+    };
+
+    /**
+     * Sets the route that is used for urls without a matching route, if no not found handler is set
+     ```
+     $.mvc.defaultRoute("/todo");
+     ```
+     * @param {String|null} url
+     * @title $.mvc.defaultRoute(url)
+     */
+    $.mvc.defaultRoute = function(url) {
+        defaultRoute = url || null;
+    };
+
+    /**
+     * Builds the url for a named route or a controller action.  The url fits the routing mode (hash or pushState)
+     * and the base directory.  Named routes take a params object, controller actions use the pattern route that
+     * targets "controller/action" or the classic /controller/action/arg1/arg2 url (args as array).
+     ```
+     $.mvc.url("customerOrder", {id: 5, orderId: 12}); // "/base/customers/5/orders/12" or "#/customers/5/orders/12"
+     $.mvc.url("orders", "show", {id: 5, orderId: 12});
+     $.mvc.url("todo", "edit", [todo.id]);             // "/base/todo/edit/3"
+     ```
+     * @param {String} controller controller or route name
+     * @param {String|Object} [action] action name or params for named routes
+     * @param {Object|Array} [params]
+     * @return {String}
+     * @throws Error if a required parameter is missing
+     * @title $.mvc.url(controller, [action], [params])
+     */
+    $.mvc.url = function(controller, action, params) {
+        var path = null;
+
+        if (namedRoutes.hasOwnProperty(controller) && (action === undefined || $.isObject(action))) {
+            path = buildPath(namedRoutes[controller].pattern, action || {});
+        } else {
+            action = action || "default";
+            for (var i = 0; i < routes.length && path === null; i++) {
+                if (routes[i].handler === controller + "/" + action) {
+                    path = buildPath(routes[i].pattern, $.isObject(params) ? params : {});
+                }
+            }
+            if (path === null) {
+                var args = params === undefined ? [] : [].concat(params);
+                path = (action == "default" && !args.length ? [controller] : [controller, action].concat(args))
+                    .map(encodeURIComponent).join("/");
+            }
+        }
+
+        return routingMode == "hash" ? "#/" + path : getBasePath() + "/" + path;
+    };
+
+    /**
+     * Adds a hook that is called while the router waits for a controller (lazy loading or views not loaded yet).
+     * It gets true when the loading starts and false when it is finished (or failed).
+     ```
+     $.mvc.loading(function(isLoading, controller){
+        isLoading ? $.ui.showMask("Loading...") : $.ui.hideMask();
+     });
+     ```
+     * @param {Function} fnc function(isLoading, controller)
+     * @title $.mvc.loading(fnc)
+     */
+    $.mvc.loading = function(fnc) {
+        loadingHooks.push(fnc);
+    };
+
+    /**
+     * Adds a global hook that runs before every action.  Controllers can set their own "before" function (or array).
+     * The hook gets the route info {url, controller, action, args, params}
+     ```
+     $.mvc.before(function(route){ $.ui.showMask(); });
+     ```
+     * @param {Function} fnc
+     * @title $.mvc.before(fnc)
+     */
+    $.mvc.before = function(fnc) {
+        hooks.before.push(fnc);
+    };
+
+    /**
+     * Adds a global hook that runs after every action.  Controllers can set their own "after" function (or array).
+     ```
+     $.mvc.after(function(route){ $.ui.hideMask(); });
+     ```
+     * @param {Function} fnc
+     * @title $.mvc.after(fnc)
+     */
+    $.mvc.after = function(fnc) {
+        hooks.after.push(fnc);
+    };
+
+    /**
+     * Adds a global guard that can block a navigation.  Controllers can set their own "guard" function (or array).
+     * A guard continues with true (or nothing), cancels with false or redirects with an url.  The decision can be
+     * returned, passed to next() or returned as promise.
+     ```
+     $.mvc.guard(function(route){ return isLoggedIn() || "/login"; });
+     $.mvc.guard(function(route, next){ confirmLeave(function(ok){ next(ok); }); });
+     ```
+     * @param {Function} fnc function(route, next)
+     * @title $.mvc.guard(fnc)
+     */
+    $.mvc.guard = function(fnc) {
+        hooks.guard.push(fnc);
+    };
+
+    /**
+     * Adds a route.  Plain urls (/controller/action) add the function as action to the controller.
+     * Urls with named parameters, optional or wildcard segments are added to the route table; the handler gets the
+     * matched values as positional arguments followed by a params object.
+     * Instead of a function you can pass "controller/action" to dispatch to an existing controller action.
+     ```
+     $.mvc.addRoute("/foo/bar", function(){});
+     $.mvc.addRoute("/customers/:id/orders/:orderId?", function(id, orderId, params){});
+     $.mvc.addRoute("/customers/:id", "customers/show", {constraints: {id: /^\d+$/}});
+     $.mvc.addRoute("/files/*path", function(path, params){});
+     $.mvc.addRoute("/customers/:id/orders/:orderId", "orders/show", {name: "customerOrder"});
+     ```
+     * @param {String} url
+     * @param {Function|String} fnc handler function or "controller/action"
+     * @param {Object} [options] {constraints: {param: RegExp|String}, name: String}
+     * @title $.mvc.addRoute(url, fnc, [options])
+     */
+    $.mvc.addRoute = function(url, fnc, options) {
+        options = options || {};
+        if (options.name) {
+            namedRoutes[options.name] = {pattern: url};
+        }
+        if (/[:*?(]/.test(url) || typeof (fnc) === "string" || options.constraints) {
+            var compiled = compileRoute(url);
+            routes.push({
+                pattern: url,
+                regex: compiled.regex,
+                keys: compiled.keys,
+                handler: fnc,
+                constraints: options.constraints || {}
+            });
+            return;
+        }
+
+        url = normalizeUrl(url).split("/");
+
+        if (url.length > 1) {
+            var route = url.splice(0, 1);
+            var axt = url.splice(0, 1);
+        } else {
+            route = url[0];
+            axt = "default";
+        }
+        if (!$.mvc.controller[route]) {
+            $.mvc.controller[route] = {};
+        }
+        $.mvc.controller[route][axt] = fnc;
+
+    };
+
+    /**
+     * Internal function that loads a view via AJAX and appends it to the dom.
+     * Failed views trigger "jqmvc:loadError" and "_controllername_:loadError".
+     * @param {String} path Path
+     * @param {String} controller
+     * @param {String} name id attribute of script tag
+     * @api private
+     * @title $.mvc.controller.addView
+     */
+    $.mvc.controller.addView = function(path, controller, name) {
+        withRetries(function(resolve, reject) {
+            $.ajax({
+                url: path,
+                success: resolve,
+                error: function(xhr) {
+                    reject(xhr && xhr.status);
+                }
+            });
+        }).then(function(data) {
+            appendView(name, data);
+            try {
+                compileView(name);
+            } catch (e) {
+                controllerFailed(controller, loadError(path, "view", null, "failed to compile view '" + path + "': " + e.message));
+                return;
+            }
+            viewsLoaded[controller]++;
+            checkControllerReady(controller);
+        }, function(status) {
+            delete viewsCache[name];
+            controllerFailed(controller, loadError(path, "view", typeof (status) === "number" && status ? status : null));
+        });
+    };
+
+    /**
+     * Internal function that appends a template as script tag to the body (once per id)
+     * @param {String} id
+     * @param {String} data
+     * @api private
+     */
+    function appendView(id, data) {
+        if (!document.getElementById(id)) {
+            $(document.body).append($("<script type='" + $.mvc._app._templateType + "' id='" + id + "'>" + data + "</script>"));
         }
-        url = url.split("/");
+        viewsCache[id] = 1;
+    }
 
-        if (url.length > 1) {
-            var route = url.splice(0, 1);
-            var axt = url.splice(0, 1);
-        } else {
-            route = url[0];
-            axt = "default";
-        }
-        if (!$.mvc.controller[route]) {
-            $.mvc.controller[route] = {};
+    /**
+     * Template engines for app.setTemplateEngine, "jq" uses jq.template (incl. precompiled templates)
+     * @api private
+     */
+    var templateEngines = {
+        jq: {
+            type: "text/html",
+            compile: function(source, id) {
+                return $.template.compile(source === null || $.template.has(id) ? id : source);
+            },
+            render: function(compiled, data) {
+                return compiled(data);
+            }
         }
-        $.mvc.controller[route][axt] = fnc;
+    };
+    $.mvc._app._templateEngine = templateEngines.jq;
 
+    /**
+     * Registers a template engine, which can be used with app.setTemplateEngine(name)
+     ```
+     $.mvc.addTemplateEngine("mustache", {
+        type: "text/x-mustache-template",
+        compile: function(source, id) { Mustache.parse(source); return source; },
+        render: function(compiled, data) { return Mustache.render(compiled, data); }
+     });
+     ```
+     * @param {String} name
+     * @param {Object} engine {compile: function(source, id), render: function(compiled, data), [type]}
+     * @title $.mvc.addTemplateEngine(name, engine)
+     */
+    $.mvc.addTemplateEngine = function(name, engine) {
+        templateEngines[name] = engine;
     };
 
     /**
-     * Internal function that loads a view via AJAX and appends it to the dom
-     * @param {String} path Path
-     * @param {String} controller
-     * @param {String} name id attribute of script tag
+     * Internal function that compiles a view (template script tag) with the template engine (once per id)
+     * @param {String} id
+     * @return {*} compiled template
      * @api private
-     * @title $.mvc.controller.addView
      */
-    $.mvc.controller.addView = function(path, controller, name) {
-        $.get(path, function(data) {
-            var id = name;
-            $(document.body).append($("<script type='" + $.mvc._app._templateType + "' id='" + id + "'>" + data + "</script>"));
-            viewsLoaded[controller]++;
-            if ((viewsLoaded[controller] == viewsTotal[controller])) {
-                $(document).trigger(controller + ":ready", {name: controller});
+    function compileView(id) {
+        if (!compiledViews.hasOwnProperty(id)) {
+            var el = document.getElementById(id);
+            compiledViews[id] = $.mvc._app._templateEngine.compile(el ? el.innerHTML : null, id);
+        }
+        return compiledViews[id];
+    }
 
-                controllerReady[controller] && controllerReady[controller].init.apply(controllerReady[controller]);
+    /**
+     * Renders a view with the template engine
+     ```
+     $("#content").html($.mvc.renderTemplate("list_tpl", {items: items}));
+     ```
+     * @param {String} id view id
+     * @param {Object} [data]
+     * @return {String} html
+     * @title $.mvc.renderTemplate(id, data)
+     */
+    function renderTemplate(id, data) {
+        return $.mvc._app._templateEngine.render(compileView(id), data || {});
+    }
+    $.mvc.renderTemplate = renderTemplate;
+
+    /**
+     * Registers pre-bundled views (templates), so controllers referencing them are ready without loading them via AJAX.
+     * The keys are view ids or view paths (as used in the "views" of controllers).  A generated bundle file can call
+     * this function directly, see app.loadViewBundle.
+     ```
+     $.mvc.registerViews({"list_tpl": "<ul>...</ul>", "views/detail.tpl": "<div>...</div>"});
+     ```
+     * @param {Object} views key => template
+     * @title $.mvc.registerViews(views)
+     */
+    $.mvc.registerViews = function(views) {
+        $.extend(bundledViews, views);
+        documentReady().then(function() {
+            for (var id in views) {
+                if (views.hasOwnProperty(id)) {
+                    appendView(id, views[id]);
+                }
             }
         });
     };
 
+    /**
+     * Internal function that loads a view bundle: a JSON file (key => template) or a JS file calling $.mvc.registerViews.
+     * Controllers are loaded after the pending bundles.
+     * @param {String} url
+     * @return {Promise}
+     * @api private
+     */
+    function loadViewBundle(url) {
+        var promise = /\.json$/i.test(url) ? withRetries(function(resolve, reject) {
+            $.ajax({
+                url: url,
+                success: function(data) {
+                    try {
+                        $.mvc.registerViews(typeof (data) === "string" ? JSON.parse(data) : data);
+                        resolve();
+                    } catch (e) {
+                        reject(null);
+                    }
+                },
+                error: function(xhr) {
+                    reject(xhr && xhr.status);
+                }
+            });
+        }).then(null, function(status) {
+            throw loadError(url, "view", typeof (status) === "number" && status ? status : null);
+        }) : documentReady().then(function() {
+            return loadScript(url, "view");
+        });
+
+        viewBundles.push(promise.then(null, function() {
+            //failed bundles are reported by the returned promise, the controllers are loaded anyway
+        }));
+        return promise;
+    }
 
     /**
      * Here we override the custom click handler for jqUi so we can capture anchor events as needed
@@ -371,6 +2074,7 @@
 
     var storageAdapters = {}; //Each model can have it's own connector
     var baseOpts = {}; //Base options/configs for each model to inherit from
+    var schemas = {}; //Attribute schema of each model (see $.mvc.model.extend)
     /**
      * This is the base model that all models inherit from.  This is used internally by $.mvc.model.extend
 
@@ -400,53 +2104,192 @@
      * @api private
      */
     $.mvc.model.prototype = {
-        //Load a single object by id
+        //Load a single object by id.  Returns a promise for the object (get, getAll, save and remove, see $.mvc.model.promise)
         get: function(id, callback) {
             var self = this;
             var el = new $.mvc.model(this.modelName, baseOpts[this.modelName]);
-            storageAdapters[this.modelName].get(
-                id,
-                function(theObj) {
-                    el = $.extend(el, theObj);
-                    el.modelName = self.modelName;
-                    el.id = id;
-                    if (callback) {
-                        return callback(el);
-                    }
-                    return el;
-                }
-            );
+            return $.mvc.model.promise(this, "get", function(resolve, reject) {
+                storageAdapters[self.modelName].get(
+                    id,
+                    function(theObj) {
+                        el = $.extend(el, theObj);
+                        el.modelName = self.modelName;
+                        el.id = id;
+                        resolve(el);
+                        return el;
+                    },
+                    self,
+                    reject
+                );
+            }, callback);
 
         },
-        //Get all objects for a given type and executes a callback
+        //Get all objects (as $.mvc.collection) for a given type and executes a callback
         getAll: function(callback) {
-            return storageAdapters[this.modelName].getAll(this.modelName, callback);
+            var self = this;
+            return $.mvc.model.promise(this, "getAll", function(resolve, reject) {
+                storageAdapters[self.modelName].getAll(self.modelName, function(all) {
+                    resolve($.mvc.collection(self.modelName, all, {matches: true}));
+                }, self, reject);
+            }, callback);
 
         },
-        //Save an object and executes a callback
+        //Save an object and executes a callback (the changed attributes are reset after saving).
+        //Invalid objects (see validate()) are not saved: the promise is rejected (error.errors) and "invalid" {model, errors} is triggered
         save: function(callback) {
-            return storageAdapters[this.modelName].save(this, callback);
+            var self = this;
+            return $.mvc.model.promise(this, "save", function(resolve, reject) {
+                var errors = self.validate();
+                if (errors.length) {
+                    self.trigger("invalid", {model: self, errors: errors});
+                    var error = new Error(errors[0].message);
+                    error.code = "invalid";
+                    error.errors = errors;
+                    reject(error);
+                    return;
+                }
+                storageAdapters[self.modelName].save(self, function(obj) {
+                    hiddenProperty(self, "__previous", {});
+                    resolve(obj);
+                }, reject);
+            }, callback);
 
         },
         //Remove an object and execute a callback
         remove: function(callback) {
-            return storageAdapters[this.modelName].remove(this, callback);
+            var self = this;
+            return $.mvc.model.promise(this, "remove", function(resolve, reject) {
+                storageAdapters[self.modelName].remove(self, resolve, reject);
+            }, callback);
         },
         //Set properties on the model.  You can pass in a key/value or an object of properties
         set: function(obj, value) {
             if ($.isObject(obj)) {
                 obj && obj['modelName'] && delete obj['modelName'];
                 obj && obj['id'] && delete obj['id'];
+                var attributes = {};
                 for (var j in obj) {
                     if (this.hasOwnProperty(j)) {
-                        this[j] = obj[j];
+                        attributes[j] = obj[j];
                     }
                 }
+                this.applyChanges(attributes);
                 return;
             }
             if (obj.toLowerCase() != "id" && obj.toLowerCase() != "modelname") {
-                this[obj] = value;
+                var attribute = {};
+                attribute[obj] = value;
+                this.applyChanges(attribute);
+            }
+        },
+        /**
+         * Assigns the attributes (used by set()), updates bound elements and triggers the events
+         * "change:attr" {model, attr, previous, value} and "change" {model, changes: {attr: {previous, value}}}
+         * on the instance (see on()) and as "modelName:change:attr" / "modelName:change" on the document.
+         * @param {Object} attributes
+         * @return {Object} changes
+         */
+        applyChanges: function(attributes) {
+            var changes = {};
+            if (!this.__previous) {
+                hiddenProperty(this, "__previous", {});
+            }
+            for (var key in attributes) {
+                if (attributes.hasOwnProperty(key) && this[key] !== attributes[key]) {
+                    if (!this.__previous.hasOwnProperty(key)) {
+                        this.__previous[key] = this[key];
+                    }
+                    changes[key] = {previous: this[key], value: attributes[key]};
+                    this[key] = attributes[key];
+                }
+            }
+
+            var keys = Object.keys(changes);
+            if (keys.length) {
+                this.updateBindings(keys);
+                keys.forEach(function(key) {
+                    this.trigger("change:" + key, {model: this, attr: key, previous: changes[key].previous, value: changes[key].value});
+                }, this);
+                this.trigger("change", {model: this, changes: changes});
             }
+            return changes;
+        },
+        /**
+         * Returns true, if the attribute (or any attribute) was changed with set() since the model was loaded or saved
+         * @param {String} [attr]
+         * @return {Boolean}
+         */
+        hasChanged: function(attr) {
+            if (attr !== undefined) {
+                return !!this.__previous && this.__previous.hasOwnProperty(attr) && this.__previous[attr] !== this[attr];
+            }
+            return Object.keys(this.changedAttributes()).length > 0;
+        },
+        /**
+         * Returns the changed attributes (attr => current value) since the model was loaded or saved
+         * @return {Object}
+         */
+        changedAttributes: function() {
+            var changed = {};
+            Object.keys(this.__previous || {}).forEach(function(key) {
+                if (this.hasChanged(key)) {
+                    changed[key] = this[key];
+                }
+            }, this);
+            return changed;
+        },
+        /**
+         * Returns the value of the attribute before it was changed with set() (since the model was loaded or saved)
+         * @param {String} attr
+         * @return {*}
+         */
+        previous: function(attr) {
+            return this.__previous && this.__previous.hasOwnProperty(attr) ? this.__previous[attr] : this[attr];
+        },
+        /**
+         * Adds an event handler for this instance, e.g. "change" or "change:text".  fnc(data) is called with this = model.
+         * Use $(document).on("modelName:change", fnc) for all instances of a model.
+         * @param {String} event
+         * @param {Function} fnc
+         */
+        on: function(event, fnc) {
+            if (!this.__listeners) {
+                hiddenProperty(this, "__listeners", {});
+            }
+            (this.__listeners[event] = this.__listeners[event] || []).push(fnc);
+            return this;
+        },
+        /**
+         * Removes an event handler of this instance (all handlers of the event without fnc)
+         * @param {String} event
+         * @param {Function} [fnc]
+         */
+        off: function(event, fnc) {
+            if (this.__listeners && this.__listeners[event]) {
+                this.__listeners[event] = fnc ? this.__listeners[event].filter(function(listener) {
+                    return listener !== fnc;
+                }) : [];
+            }
+            return this;
+        },
+        /**
+         * Triggers an event on this instance and as "modelName:event" on the document
+         * @param {String} event
+         * @param {Object} [data]
+         */
+        trigger: function(event, data) {
+            var self = this;
+            ((this.__listeners && this.__listeners[event]) || []).slice().forEach(function(fnc) {
+                fnc.call(self, data);
+            });
+            $(document).trigger(this.modelName + ":" + event, data);
+            return this;
+        },
+        // Updates the elements bound with $.mvc.bind for the attributes (all attributes without keys)
+        updateBindings: function(keys) {
+            (this.__bindings || []).forEach(function(binding) {
+                binding.update(keys);
+            });
         },
         // Returns the storageAdapter
         getStorageAdapter: function() {
@@ -455,20 +2298,188 @@
         // Returns the base options
         getBaseOptions: function() {
             return baseOpts[this.modelName];
+        },
+        // Returns the attribute schema (attr => rules) or null
+        getSchema: function() {
+            return schemas[this.modelName] || null;
+        },
+        /**
+         * Validates the attributes against the schema of the model
+         ```
+         var errors = todo.validate(); // [{attr: "text", rule: "required", message: "text is required", value: ""}]
+         ```
+         * @return {Array} errors (empty array = valid)
+         */
+        validate: function() {
+            var schema = this.getSchema() || {};
+            var errors = [];
+            Object.keys(schema).forEach(function(attr) {
+                var error = validateAttribute(attr, schema[attr], this[attr], this);
+                if (error) {
+                    errors.push(error);
+                }
+            }, this);
+            return errors;
+        },
+        // Returns true, if validate() finds no errors
+        isValid: function() {
+            return this.validate().length === 0;
+        }
+    };
+
+    /**
+     * Runs a storage operation of a model as promise.  The operation calls resolve(result) or reject(cause); causes
+     * (also exceptions) are rejected as Error with the properties model (model name), operation, code and cause.
+     * The optional callback gets the result outside of the promise, so its exceptions are thrown as usual.
+     ```
+     todo.save().then(function(todo){ ... }, function(error){ console.log(error.operation, error.code, error.message); });
+     ```
+     * @param {$.mvc.model} model
+     * @param {String} operation
+     * @param {Function} fnc function(resolve, reject)
+     * @param {Function} [callback] function(result)
+     * @return {Promise}
+     * @title $.mvc.model.promise(model, operation, fnc, [callback])
+     */
+    $.mvc.model.promise = function(model, operation, fnc, callback) {
+        var sync = true, resolved = false, value;
+        var promise = new Promise(function(resolve, reject) {
+            fnc(function(result) {
+                resolve(result);
+                if (!$.isFunction(callback)) {
+                    return;
+                }
+                if (sync) {
+                    resolved = true;
+                    value = result;
+                } else {
+                    callback(result);
+                }
+            }, reject);
+        }).then(null, function(cause) {
+            if (cause instanceof Error && cause.model && cause.operation) {
+                throw cause;
+            }
+            var error = cause instanceof Error ? cause : new Error(cause && cause.message ? cause.message : String(cause));
+            error.model = model.modelName;
+            error.operation = operation;
+            error.code = cause && cause.code !== undefined ? cause.code : null;
+            if (error !== cause) {
+                error.cause = cause;
+            }
+            throw error;
+        });
+        sync = false;
+        resolved && callback(value);
+        return promise;
+    };
+
+    /**
+     * Internal function that validates an attribute value against its schema rules
+     * @param {String} attr
+     * @param {Object} rules {type, required, min, max, pattern, values, validate, message}
+     * @param {*} value
+     * @param {$.mvc.model} model
+     * @return {Object|null} error {attr, rule, message, value}
+     * @api private
+     */
+    function validateAttribute(attr, rules, value, model) {
+        var error = function(rule, message) {
+            return {attr: attr, rule: rule, message: rules.message || message, value: value};
+        };
+        var isString = typeof (value) === "string";
+        var size = isString || $.isArray(value) ? value.length : (value instanceof Date ? value.getTime() : value);
+
+        if (value === undefined || value === null || value === "") {
+            return rules.required ? error("required", attr + " is required") : null;
+        }
+        if (rules.type && !schemaTypes[rules.type]) {
+            throw new Error("unknown schema type '" + rules.type + "' for " + model.modelName + "." + attr);
+        }
+        if (rules.type && !schemaTypes[rules.type](value)) {
+            return error("type", attr + " must be of type " + rules.type);
+        }
+        if (rules.min !== undefined && size < (rules.min instanceof Date ? rules.min.getTime() : rules.min)) {
+            return error("min", attr + (isString ? " must have at least " + rules.min + " characters" : " must be at least " + rules.min));
+        }
+        if (rules.max !== undefined && size > (rules.max instanceof Date ? rules.max.getTime() : rules.max)) {
+            return error("max", attr + (isString ? " must have at most " + rules.max + " characters" : " must be at most " + rules.max));
+        }
+        if (rules.pattern && !rules.pattern.test(String(value))) {
+            return error("pattern", attr + " has an invalid format");
+        }
+        if (rules.values && rules.values.indexOf(value) === -1) {
+            return error("values", attr + " must be one of " + rules.values.join(", "));
+        }
+        if ($.isFunction(rules.validate)) {
+            var result = rules.validate.call(model, value, model);
+            if (result !== true && result !== undefined) {
+                return error("validate", typeof (result) === "string" ? result : attr + " is invalid");
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Type checks for schema rules
+     * @api private
+     */
+    var schemaTypes = {
+        string: function(value) {
+            return typeof (value) === "string";
+        },
+        number: function(value) {
+            return typeof (value) === "number" && !isNaN(value);
+        },
+        integer: function(value) {
+            return typeof (value) === "number" && value % 1 === 0;
+        },
+        boolean: function(value) {
+            return typeof (value) === "boolean";
+        },
+        date: function(value) {
+            return value instanceof Date && !isNaN(value.getTime());
+        },
+        array: function(value) {
+            return $.isArray(value);
+        },
+        object: function(value) {
+            return $.isObject(value) && !$.isArray(value);
         }
     };
 
     /**
-     * This is called to create a new model type.  You pass in the name, default properties and an optional storage adapter
+     * This is called to create a new model type.  You pass in the name, default properties and an optional storage adapter.
+     * An optional "schema" (attr => rules) is used by validate() and save(); attributes of the schema without a default
+     * property get the rule "default" (or null).
      ```
      $.mvc.model.extend('model',{foo:'bar'})
      $.mvc.model.extend('model',{foo:'bar'},myCustomAdapter)
+     $.mvc.model.extend('todo',{schema: {
+        text: {type: "string", required: true, max: 200},
+        prio: {type: "integer", min: 1, max: 5, default: 3},
+        state: {values: ["open", "done"], default: "open"},
+        email: {type: "string", pattern: /^[^@]+@[^@]+$/, message: "Please enter a valid email address"},
+        due: {type: "date", validate: function(value, model) { return value > new Date() || "due must be in the future"; }}
+     }})
      ```
+     * Rules: type (string, number, integer, boolean, date, array, object), required, min/max (value, length of strings
+     * and arrays), pattern (RegExp), values (allowed values), validate (function returning true or an error message),
+     * message (error message for all rules of the attribute) and default.
      * @param {String} name
      * @param {Object} obj default methods/properties
      * @param {Object} [storageAdapter] - object implmenting storageAdapter interface (look below for the default)
      */
     $.mvc.model.extend = function(name, obj, storageAdapter) {
+        if (obj && obj.schema) {
+            schemas[name] = obj.schema;
+            delete obj.schema;
+            Object.keys(schemas[name]).forEach(function(attr) {
+                if (!obj.hasOwnProperty(attr)) {
+                    obj[attr] = schemas[name][attr].hasOwnProperty("default") ? schemas[name][attr]["default"] : null;
+                }
+            });
+        }
         storageAdapters[name] = storageAdapter ? storageAdapter : (localAdapter.linkerCache[name] = {}, localAdapter);
         return function() {
             return new $.mvc.model(name, obj);
@@ -476,6 +2487,472 @@
     };
 
 
+    /**
+     * Internal function that sets a property, which is not enumerable: neither saved nor copied by $.extend()
+     * @param {Object} obj
+     * @param {String} name
+     * @param {*} value
+     * @api private
+     */
+    function hiddenProperty(obj, name, value) {
+        Object.defineProperty(obj, name, {value: value, writable: true, configurable: true});
+    }
+
+    /**
+     * Binds the attributes of a model instance ($.mvc.model or $.mvc.modelDb) to the elements with a "data-bind"
+     * attribute in root (incl. root).  "data-bind" contains the attribute name and an optional type
+     * (value, checked, text or html; default: value for form elements and text otherwise).
+     * Changes via set() update the elements, input in the elements updates the model (with set()).
+     ```
+     <form id="todo_form"><input data-bind="text"> <input type="checkbox" data-bind="checked:completed"> <span data-bind="html:note"></span></form>
+
+     var binding = $.mvc.bind(todo, "#todo_form", {autoSave: true});
+     binding.unbind();
+     ```
+     * @param {$.mvc.model} model
+     * @param {String|Object} root selector or element
+     * @param {Object} [options] {autoSave: false (save after every change in the dom, failed saves trigger the "invalid"
+     *                           or "error" {model, error} event of the model), events: "change input"}
+     * @return {Object} binding {model, root, update(keys), unbind()}
+     * @title $.mvc.bind(model, root, options)
+     */
+    $.mvc.bind = function(model, root, options) {
+        options = $.extend({autoSave: false, events: "change input"}, options);
+        root = $(root).get(0);
+        if (!root) {
+            throw new Error("binding root does not exist");
+        }
+
+        var elements = function() {
+            var found = [].slice.call(root.querySelectorAll("[data-bind]"));
+            return root.getAttribute("data-bind") ? [root].concat(found) : found;
+        };
+        var listener = function(evt) {
+            var bound = parseBinding(this);
+            if (!bound || (bound.type !== "value" && bound.type !== "checked")) {
+                return;
+            }
+            bindingSource = this;
+            try {
+                model.set(bound.key, readElement(this, bound.type, model[bound.key]));
+            } finally {
+                bindingSource = null;
+            }
+            if (options.autoSave && evt.type === "change") {
+                model.save().then(null, function(error) {
+                    //invalid values are reported by the "invalid" event of the model
+                    if (error.code !== "invalid") {
+                        model.trigger("error", {model: model, error: error});
+                    }
+                });
+            }
+        };
+
+        var binding = {
+            model: model,
+            root: root,
+            update: function(keys) {
+                elements().forEach(function(el) {
+                    var bound = parseBinding(el);
+                    if (bound && el !== bindingSource && (!keys || keys.indexOf(bound.key) !== -1)) {
+                        writeElement(el, bound.type, model[bound.key]);
+                    }
+                });
+            },
+            unbind: function() {
+                $(root).off(options.events, "[data-bind]", listener);
+                $(root).off(options.events, listener);
+                var index = model.__bindings.indexOf(binding);
+                index !== -1 && model.__bindings.splice(index, 1);
+            }
+        };
+
+        if (!model.__bindings) {
+            hiddenProperty(model, "__bindings", []);
+        }
+        model.__bindings.push(binding);
+        $(root).on(options.events, "[data-bind]", listener);
+        if (root.getAttribute("data-bind")) {
+            $(root).on(options.events, listener);
+        }
+        binding.update();
+        return binding;
+    };
+
+    /**
+     * Element that changed the model (it is not updated again while typing)
+     * @api private
+     */
+    var bindingSource = null;
+
+    /**
+     * Internal function that parses the data-bind attribute of an element ("key" or "type:key")
+     * @param {Object} el
+     * @return {Object|null} {key, type}
+     * @api private
+     */
+    function parseBinding(el) {
+        var parts = /^\s*(?:(value|checked|text|html)\s*:)?\s*([\w$]+)\s*$/.exec(el.getAttribute("data-bind") || "");
+        if (!parts) {
+            return null;
+        }
+        var formElement = /^(input|select|textarea)$/i.test(el.nodeName);
+        var checkable = formElement && /^(checkbox|radio)$/i.test(el.type);
+        return {key: parts[2], type: parts[1] || (checkable ? "checked" : (formElement ? "value" : "text"))};
+    }
+
+    /**
+     * Internal function that shows a model value in a bound element
+     * @param {Object} el
+     * @param {String} type value, checked, text or html
+     * @param {*} value
+     * @api private
+     */
+    function writeElement(el, type, value) {
+        value = value === undefined || value === null ? "" : value;
+        if (type === "checked") {
+            el.checked = /^radio$/i.test(el.type) ? String(value) === el.value : !!value;
+        } else if (type === "value") {
+            if (el.value !== String(value)) {
+                el.value = value;
+            }
+        } else if (type === "html") {
+            el.innerHTML = value;
+        } else {
+            el.textContent = value;
+        }
+    }
+
+    /**
+     * Internal function that reads the value of a bound form element (numbers stay numbers)
+     * @param {Object} el
+     * @param {String} type value or checked
+     * @param {*} current current model value
+     * @return {*}
+     * @api private
+     */
+    function readElement(el, type, current) {
+        if (type === "checked") {
+            return /^radio$/i.test(el.type) ? el.value : el.checked;
+        }
+        if ((typeof (current) === "number" || /^(number|range)$/i.test(el.type)) && el.value !== "" && !isNaN(el.value)) {
+            return parseFloat(el.value);
+        }
+        return el.value;
+    }
+
+    /**
+     * Creates a collection: an array of models with helper functions and events, returned by getAll() and search().
+     * Live collections (option live or live()) follow the ":save" and ":remove" events of the model: saved models are
+     * added (if they match the collection), replaced or removed (if they don't match anymore); removed models are removed.
+     * Collections created by where() and sortBy() keep the criteria and the order of their collection, they follow the
+     * events only if live() is called on them.  Call release() when a live collection is not needed anymore.
+     ```
+     todo.getAll().then(function(todos){
+        var active = todos.where({isComplete: false, isArchived: false}).sortBy("text").live();
+        active.on("add", function(data){ ... });     // data = {collection, model}
+        todos.groupBy("isComplete"); todos.pluck("text"); todos.find({id: 5});
+        active.release();                            // stop following the model events
+     });
+     ```
+     * @param {String} modelName
+     * @param {Array} [models]
+     * @param {Object} [options] {live: false (follow the model events),
+     *                           matches: true (all saved models) | function(model) | attrs | false (default),
+     *                           membersOnly: only update members, default: true without matches (e.g. search results),
+     *                           comparator: function(a, b)}
+     * @return {Array} collection
+     * @title $.mvc.collection(modelName, models, options)
+     */
+    $.mvc.collection = function(modelName, models, options) {
+        var collection = (models || []).slice(0);
+        options = options || {};
+
+        Object.keys(collectionMethods).forEach(function(name) {
+            hiddenProperty(collection, name, collectionMethods[name]);
+        });
+        hiddenProperty(collection, "modelName", modelName);
+        hiddenProperty(collection, "matches", matcher(options.matches || true));
+        hiddenProperty(collection, "membersOnly", options.membersOnly !== undefined ? options.membersOnly : !options.matches);
+        hiddenProperty(collection, "comparator", options.comparator || null);
+        hiddenProperty(collection, "__listeners", {});
+        if (collection.comparator) {
+            collection.sort(collection.comparator);
+        }
+        return options.live ? collection.live() : collection;
+    };
+
+    /**
+     * Collections, which follow the events of their model (modelName => [collection])
+     * @api private
+     */
+    var liveCollections = {};
+
+    /**
+     * Internal function that returns true if a collection follows the events of its model
+     * @param {Array} collection
+     * @return {Boolean}
+     * @api private
+     */
+    function isLive(collection) {
+        return (liveCollections[collection.modelName] || []).indexOf(collection) !== -1;
+    }
+
+    /**
+     * Internal function that returns a function(model) for attributes, functions or booleans
+     * @param {Object|Function|Boolean} criteria
+     * @return {Function}
+     * @api private
+     */
+    function matcher(criteria) {
+        if ($.isFunction(criteria)) {
+            return criteria;
+        }
+        if (!$.isObject(criteria)) {
+            return function() {
+                return !!criteria;
+            };
+        }
+        return function(model) {
+            return Object.keys(criteria).every(function(key) {
+                return model[key] === criteria[key];
+            });
+        };
+    }
+
+    /**
+     * Internal function that returns a function(model) for an attribute name or a function
+     * @param {String|Function} attr
+     * @return {Function}
+     * @api private
+     */
+    function accessor(attr) {
+        return $.isFunction(attr) ? attr : function(model) {
+            return model[attr];
+        };
+    }
+
+    /**
+     * Functions of collections (not enumerable, collections are real arrays)
+     * @api private
+     */
+    var collectionMethods = {
+        /**
+         * Returns the collection of models matching the attributes or function
+         * @param {Object|Function} criteria
+         * @return {Array} collection
+         */
+        where: function(criteria) {
+            var self = this, match = matcher(criteria);
+            return $.mvc.collection(this.modelName, this.filter(match), {
+                comparator: this.comparator,
+                membersOnly: this.membersOnly,
+                matches: function(model) {
+                    return self.matches(model) && match(model);
+                }
+            });
+        },
+        /**
+         * Returns the first model matching the attributes or function (or null)
+         * @param {Object|Function} criteria
+         * @return {Object|null}
+         */
+        find: function(criteria) {
+            var match = matcher(criteria);
+            for (var i = 0; i < this.length; i++) {
+                if (match(this[i])) {
+                    return this[i];
+                }
+            }
+            return null;
+        },
+        /**
+         * Returns the model with the id (or null)
+         * @param {*} id
+         * @return {Object|null}
+         */
+        get: function(id) {
+            return this.find(function(model) {
+                return model.id == id;
+            });
+        },
+        /**
+         * Returns a sorted collection (added models are sorted in)
+         * @param {String|Function} attr attribute or function(model) returning the sort value
+         * @param {Boolean} [descending]
+         * @return {Array} collection
+         */
+        sortBy: function(attr, descending) {
+            var value = accessor(attr);
+            var comparator = function(a, b) {
+                var valueA = value(a), valueB = value(b);
+                return (valueA < valueB ? -1 : (valueA > valueB ? 1 : 0)) * (descending ? -1 : 1);
+            };
+            return $.mvc.collection(this.modelName, this, {matches: this.matches, membersOnly: this.membersOnly, comparator: comparator});
+        },
+        /**
+         * Groups the models by an attribute or function
+         * @param {String|Function} attr
+         * @return {Object} value => collection (not following the model events)
+         */
+        groupBy: function(attr) {
+            var value = accessor(attr), groups = {}, modelName = this.modelName;
+            this.forEach(function(model) {
+                var key = value(model);
+                if (!groups.hasOwnProperty(key)) {
+                    groups[key] = [];
+                }
+                groups[key].push(model);
+            });
+            Object.keys(groups).forEach(function(key) {
+                groups[key] = $.mvc.collection(modelName, groups[key]);
+            });
+            return groups;
+        },
+        /**
+         * Returns the values of an attribute
+         * @param {String} attr
+         * @return {Array}
+         */
+        pluck: function(attr) {
+            return this.map(accessor(attr));
+        },
+        /**
+         * Adds models (sorted in, if the collection is sorted) and triggers "add" {collection, model} for each model
+         * @param {Object|Array} models
+         * @return {Array} collection
+         */
+        add: function(models) {
+            [].concat(models).forEach(function(model) {
+                var index = this.comparator ? 0 : this.length;
+                while (index < this.length && this.comparator(this[index], model) <= 0) {
+                    index++;
+                }
+                this.splice(index, 0, model);
+                this.trigger("add", {collection: this, model: model});
+            }, this);
+            return this;
+        },
+        /**
+         * Removes models (or ids) and triggers "remove" {collection, model} for each removed model
+         * @param {Object|Array|String|Number} models
+         * @return {Array} collection
+         */
+        remove: function(models) {
+            [].concat(models).forEach(function(model) {
+                var found = $.isObject(model) && this.indexOf(model) !== -1 ? model : this.get($.isObject(model) ? model.id : model);
+                if (found) {
+                    this.splice(this.indexOf(found), 1);
+                    this.trigger("remove", {collection: this, model: found});
+                }
+            }, this);
+            return this;
+        },
+        /**
+         * Updates the membership of a saved model (called for ":save" events)
+         * @param {Object} model
+         * @return {Array} collection
+         */
+        update: function(model) {
+            var member = this.indexOf(model) !== -1 ? model : this.get(model.id);
+            if (!this.matches(model) || (this.membersOnly && !member)) {
+                member && this.remove(member);
+                return this;
+            }
+            if (member !== model) {
+                member && this.remove(member);
+                this.add(model);
+            } else if (this.comparator) {
+                this.splice(this.indexOf(model), 1);
+                this.add(model);
+            }
+            return this;
+        },
+        /**
+         * Follows the model events (until release() is called)
+         * @return {Array} collection
+         */
+        live: function() {
+            var modelName = this.modelName;
+            if (!liveCollections[modelName]) {
+                liveCollections[modelName] = [];
+                $(document).on(modelName + ":save", function(evt) {
+                    liveCollections[modelName].slice().forEach(function(live) {
+                        live.update(evt.data);
+                    });
+                });
+                $(document).on(modelName + ":remove", function(evt) {
+                    liveCollections[modelName].slice().forEach(function(live) {
+                        live.remove(evt.data);
+                    });
+                });
+            }
+            isLive(this) || liveCollections[modelName].push(this);
+            return this;
+        },
+        /**
+         * Stops following the model events
+         * @return {Array} collection
+         */
+        release: function() {
+            var live = liveCollections[this.modelName] || [];
+            live.indexOf(this) !== -1 && live.splice(live.indexOf(this), 1);
+            return this;
+        },
+        /**
+         * Adds an event handler ("add" or "remove"), fnc(data) is called with this = collection
+         * @param {String} event
+         * @param {Function} fnc
+         */
+        on: function(event, fnc) {
+            (this.__listeners[event] = this.__listeners[event] || []).push(fnc);
+            return this;
+        },
+        /**
+         * Removes an event handler (all handlers of the event without fnc)
+         * @param {String} event
+         * @param {Function} [fnc]
+         */
+        off: function(event, fnc) {
+            this.__listeners[event] = fnc ? (this.__listeners[event] || []).filter(function(listener) {
+                return listener !== fnc;
+            }) : [];
+            return this;
+        },
+        /**
+         * Triggers an event of the collection
+         * @param {String} event
+         * @param {Object} [data]
+         */
+        trigger: function(event, data) {
+            var self = this;
+            (this.__listeners[event] || []).slice().forEach(function(fnc) {
+                fnc.call(self, data);
+            });
+            return this;
+        }
+    };
+
+    /**
+     * Internal function that converts the JSON strings of date attributes (see the schema) back to dates
+     * @param {String} modelName
+     * @param {Object} data loaded data
+     * @return {Object} data
+     * @api private
+     */
+    function reviveDates(modelName, data) {
+        var schema = schemas[modelName] || {};
+        Object.keys(schema).forEach(function(attr) {
+            if (schema[attr].type === "date" && typeof (data[attr]) === "string") {
+                var date = new Date(data[attr]);
+                if (!isNaN(date.getTime())) {
+                    data[attr] = date;
+                }
+            }
+        });
+        return data;
+    }
+
     //Local Storage Adapter
     /**
      * This is the default storage adapter that wraps the HTML5 local storage item.
@@ -495,19 +2972,22 @@
             window.localStorage.setItem(obj.id, JSON.stringify(obj));
             this.linkerCache[obj.modelName][obj.id] = 1;
             window.localStorage.setItem(obj.modelName + "_linker", JSON.stringify(this.linkerCache[obj.modelName]));
-            $(document).trigger(obj.modelName + ":save", obj);
-            if (callback) {
-                return callback(obj);
+            try {
+                if (callback) {
+                    return callback(obj);
+                }
+            } finally {
+                $(document).trigger(obj.modelName + ":save", obj);
             }
         },
-        get: function(id, callback) {
+        get: function(id, callback, obj) {
             var el = window.localStorage.getItem(id);
             try {
                 el = JSON.parse(el);
             } catch (e) {
                 el = {}
             }
-            return callback(el);
+            return callback(obj && el ? reviveDates(obj.modelName, el) : el);
         },
         getAll: function(type, callback) {
             var data = JSON.parse(window.localStorage.getItem(type + "_linker"));
@@ -517,7 +2997,7 @@
                     var item = JSON.parse(localStorage[j]);
                     item.modelName = type;
                     item.id = j;
-                    res.push(item);
+                    res.push(reviveDates(type, item));
                 } else {
                     delete data[j];
                 }
@@ -532,9 +3012,12 @@
             window.localStorage.removeItem(obj.id);
             delete this.linkerCache[obj.modelName][obj.id];
             window.localStorage.setItem(obj.modelName + "_linker", JSON.stringify(this.linkerCache[obj.modelName]));
-            $(document).trigger(obj.modelName + ":remove", obj.id);
-            if (callback) {
-                return callback(obj);
+            try {
+                if (callback) {
+                    return callback(obj);
+                }
+            } finally {
+                $(document).trigger(obj.modelName + ":remove", obj.id);
             }
         }
     };
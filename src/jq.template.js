@@ -1,6 +1,16 @@
 /**
  * jq.web.template - a javascript template library
  * Templating from John Resig - http://ejohn.org/ - MIT Licensed
+ *
+ * <%= value %> escapes HTML, <%- value %> outputs raw HTML, <% code %> runs javascript.
+ * Data properties are available as variables (without with(obj)), the data object itself as "obj".
+ *
+ * Partials, helpers and layouts:
+ * <%= partial("item_tpl", item) %>                       renders another template (by id, default data: obj)
+ * <%= formatDate(todo.dt_create, "DD.MM.YYYY") %>        registered helpers, see $.template.helper()
+ * <% layout("page_tpl") %>                               renders this template into the layout "page_tpl"
+ * <% block("title", function(){ %>Todos<% }) %>          defines a block (or the default content in a layout)
+ * <%= block("content") %>                                outputs a block in a layout ("content" = output of the child)
  */
 (function($) {
     $["template"] = function(tmpl, data) {
@@ -17,20 +27,293 @@
         return tmpl(str, data);
     };
 
-    (function() {
-        var cache = {};
-        this.tmpl = function tmpl(str, data) {
-            var fn = !/\W/.test(str) || /.js$/.test(str) ? cache[str] = cache[str] || tmpl(document.getElementById(str).innerHTML) : new Function(
-                "obj",
-                "var p=[],print=function(){p.push.apply(p,arguments);};" + "with(obj){p.push('" + str.replace(
-                    /[\r\t\n]/g,
-                    " "
-                    ).replace(/'(?=[^%]*%>)/g, "\t").split("'").join("\\'").split("\t").join("'").replace(
-                    /<%=(.+?)%>/g,
-                    "',$1,'"
-                    ).split("<%").join("');").split("%>").join("p.push('") + "');}return p.join('');"
-            );
-            return data ? fn(data) : fn;
+    var escapeMap = {"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"};
+    var reservedWords = ("break case catch class const continue debugger default delete do else enum export extends false " +
+        "finally for function if implements import in instanceof interface let new null package private protected public " +
+        "return static super switch this throw true try typeof var void while with yield await arguments eval undefined " +
+        "NaN Infinity obj print __p __t").split(" ");
+
+    /**
+     * String that is not escaped by <%= %> (e.g. rendered partials)
+     * @param {String} str
+     * @constructor
+     */
+    var SafeString = function(str) {
+        this.str = String(str);
+    };
+    SafeString.prototype.toString = function() {
+        return this.str;
+    };
+
+    /**
+     * Registered helpers (available as variables in every template)
+     */
+    var helpers = {
+        /**
+         * Formats a date (or unix timestamp in ms) with the tokens YYYY, MM, DD, HH, mm and ss
+         * @param {Date|Number} date
+         * @param {String} [format] default: "YYYY-MM-DD"
+         * @return {String}
+         */
+        formatDate: function(date, format) {
+            if (date === undefined || date === null || date === "") {
+                return "";
+            }
+            date = date instanceof Date ? date : new Date(date);
+            var pad = function(value) {
+                return (value < 10 ? "0" : "") + value;
+            };
+            var tokens = {
+                YYYY: date.getFullYear(), MM: pad(date.getMonth() + 1), DD: pad(date.getDate()),
+                HH: pad(date.getHours()), mm: pad(date.getMinutes()), ss: pad(date.getSeconds())
+            };
+            return (format || "YYYY-MM-DD").replace(/YYYY|MM|DD|HH|mm|ss/g, function(token) {
+                return tokens[token];
+            });
+        },
+        /**
+         * Formats a number with fixed decimals and a thousands separator
+         * @param {Number} value
+         * @param {Number} [decimals] default: 0
+         * @param {String} [decPoint] default: "."
+         * @param {String} [thousandsSep] default: ","
+         * @return {String}
+         */
+        formatNumber: function(value, decimals, decPoint, thousandsSep) {
+            var parts = Number(value || 0).toFixed(decimals || 0).split(".");
+            parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, thousandsSep === undefined ? "," : thousandsSep);
+            return parts.join(decPoint === undefined ? "." : decPoint);
+        }
+    };
+
+    /**
+     * Escapes a value for HTML output (null and undefined result in an empty string)
+     * @param {*} value
+     * @return {String}
+     */
+    var escapeHtml = function(value) {
+        if (value instanceof SafeString) {
+            return value.toString();
+        }
+        return value === undefined || value === null ? "" : String(value).replace(/[&<>"']/g, function(chr) {
+            return escapeMap[chr];
+        });
+    };
+
+    /**
+     * Creates the runtime object for one rendering of a compiled template: escaping (e), global object (g),
+     * helpers incl. partial/layout/block (h), output buffer (p) and the layout with its blocks.
+     * @param {Object} data
+     * @param {Object} blocks blocks defined by child templates
+     * @return {Object}
+     */
+    var createRuntime = function(data, blocks) {
+        var runtime = {e: escapeHtml, g: window, h: Object.create(helpers), p: [], layout: null, blocks: blocks};
+
+        runtime.h.partial = function(id, partialData) {
+            return new SafeString(tmpl(id)(partialData === undefined ? data : partialData));
+        };
+        runtime.h.layout = function(id) {
+            runtime.layout = id;
+            return "";
+        };
+        runtime.h.block = function(name, fnc) {
+            var start = runtime.p.length;
+            if (runtime.layout) {
+                if (fnc && !blocks.hasOwnProperty(name)) {
+                    fnc();
+                    blocks[name] = runtime.p.splice(start).join("");
+                }
+            } else if (blocks.hasOwnProperty(name)) {
+                runtime.p.push(blocks[name]);
+            } else if (fnc) {
+                fnc();
+            }
+            return "";
         };
-    })();
+        return runtime;
+    };
+
+    /**
+     * Renders a compiled template function(obj, __t) and its layouts
+     * @param {Function} render
+     * @param {Object} data
+     * @param {Object} [blocks]
+     * @return {String}
+     */
+    var run = function(render, data, blocks) {
+        var runtime = createRuntime(data, blocks || {});
+        var output = render(data, runtime);
+        if (!runtime.layout) {
+            return output;
+        }
+        if (!runtime.blocks.hasOwnProperty("content")) {
+            runtime.blocks.content = output;
+        }
+        return tmpl(runtime.layout)(data, runtime.blocks);
+    };
+
+    /**
+     * Returns the variables used in the javascript parts of a template (strings, property names and variables declared
+     * by the template are ignored)
+     * @param {String} code
+     * @return {Array}
+     */
+    var getVariables = function(code) {
+        var names = [];
+        var declared = [];
+        code = code.replace(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"/g, "\"\"");
+        code.replace(/\b(?:var|let|const|function)\s+([A-Za-z_$][\w$]*)/g, function(match, name) {
+            declared.push(name);
+            return match;
+        });
+        code.replace(/(^|[^.\w$])([A-Za-z_$][\w$]*)/g, function(match, before, name) {
+            if (reservedWords.indexOf(name) === -1 && declared.indexOf(name) === -1 && names.indexOf(name) === -1) {
+                names.push(name);
+            }
+            return match;
+        });
+        return names;
+    };
+
+    /**
+     * Compiles a template string into the source of a strict mode function(obj, __t).
+     * Every variable is read from obj first, then from the helpers and from the global object otherwise.
+     * @param {String} str
+     * @return {String} function body
+     */
+    var compileSource = function(str) {
+        var code = "";
+        var scripts = "";
+        var parts = String(str).split(/<%([=-]?)([\s\S]+?)%>/);
+
+        for (var i = 0; i < parts.length; i += 3) {
+            if (parts[i]) {
+                code += "__p.push(" + JSON.stringify(parts[i]) + ");";
+            }
+            if (i + 2 < parts.length) {
+                var script = parts[i + 2];
+                scripts += " " + script;
+                if (parts[i + 1] == "=") {
+                    code += "__p.push(__t.e(" + script + "));";
+                } else if (parts[i + 1] == "-") {
+                    code += "__p.push(" + script + ");";
+                } else {
+                    code += script + "\n";
+                }
+            }
+        }
+
+        var declarations = getVariables(scripts).map(function(name) {
+            return name + "=(\"" + name + "\" in obj)?obj." + name + ":(\"" + name + "\" in __t.h)?__t.h." + name + ":__t.g." + name;
+        });
+
+        return "'use strict';var __p=__t.p,print=function(){__p.push.apply(__p,arguments);}" +
+            (declarations.length ? "," + declarations.join(",") : "") + ";" + code + "return __p.join('');";
+    };
+
+    /**
+     * Compiles a template string into a function(data)
+     * @param {String} str
+     * @return {Function}
+     */
+    var compile = function(str) {
+        return wrap(new Function("obj", "__t", compileSource(str)));
+    };
+
+    /**
+     * Wraps a compiled (or precompiled) function(obj, __t) into a template function(data)
+     * @param {Function} render
+     * @return {Function}
+     */
+    var wrap = function(render) {
+        return function(data, blocks) {
+            return run(render, data || {}, blocks);
+        };
+    };
+
+    var cache = {};
+    var tmpl = function(str, data) {
+        var fn = cache.hasOwnProperty(str) ? cache[str] : !/\W/.test(str) || /.js$/.test(str) ? cache[str] = tmpl(document.getElementById(str).innerHTML) : compile(str);
+        return data ? fn(data) : fn;
+    };
+    //tmpl() has always been a global function, "this" can not be used for it in strict mode
+    window.tmpl = tmpl;
+
+    $["template"].escape = escapeHtml;
+
+    /**
+     * Returns the template function(data) for a template id or a template string (without rendering it)
+     * @param {String} str
+     * @return {Function}
+     */
+    $["template"].compile = function(str) {
+        return tmpl(str);
+    };
+
+    /**
+     * Registers a helper function (or an object with helpers) for all templates
+     ```
+     $.template.helper("upper", function(str){ return String(str).toUpperCase(); });
+     $.template.helper({upper: function(str){}, lower: function(str){}});
+     ```
+     * @param {String|Object} name
+     * @param {Function} [fnc]
+     */
+    $["template"].helper = function(name, fnc) {
+        if (typeof (name) === "string") {
+            helpers[name] = fnc;
+        } else {
+            $.extend(helpers, name);
+        }
+    };
+
+    /**
+     * Marks a string as safe HTML, so <%= %> does not escape it (e.g. in helpers)
+     * @param {String} str
+     * @return {SafeString}
+     */
+    $["template"].safe = function(str) {
+        return new SafeString(str);
+    };
+
+    /**
+     * Returns the source of a template compiled to a function(obj, __t), used by tools/precompile-templates.js
+     * @param {String} str template
+     * @return {String}
+     */
+    $["template"].precompile = function(str) {
+        return "function(obj, __t) {" + compileSource(str) + "}";
+    };
+
+    /**
+     * Registers precompiled templates (id => function(obj, __t)) in the template cache, no eval is needed to render them.
+     * The ids are used like the ids of template script tags.
+     ```
+     $.template.register({"list_tpl": function(obj, __t) {...}});
+     $.template("list_tpl", {todos: todos});
+     ```
+     * @param {String|Object} id
+     * @param {Function} [render]
+     */
+    $["template"].register = function(id, render) {
+        if (typeof (id) === "string") {
+            cache[id] = wrap(render);
+            return;
+        }
+        for (var key in id) {
+            if (id.hasOwnProperty(key)) {
+                cache[key] = wrap(id[key]);
+            }
+        }
+    };
+
+    /**
+     * Returns true, if a template with the id is in the cache (registered or already used)
+     * @param {String} id
+     * @return {Boolean}
+     */
+    $["template"].has = function(id) {
+        return cache.hasOwnProperty(id);
+    };
 })(jq);
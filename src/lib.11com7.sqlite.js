@@ -27,21 +27,30 @@ function($, window, undefined) {
 
     // static »global« private const
     var
-        // templates
+        // sql statements (plain strings, no templates: no eval needed, e.g. for a Content-Security-Policy)
         SQL_DT_DEFAULT = "STRFTIME('%s', 'NOW')",
         SQL_DT_CONSTRAINTS = 'NOT NULL DEFAULT (' + SQL_DT_DEFAULT + ')',
-        SQL_CREATE_TABLE = 'CREATE TABLE IF NOT EXISTS <%=table%> (<%=fields%><%=constraints%>);',
-        SQL_CREATE_INDEX = 'CREATE<%=unique%> INDEX IF NOT EXISTS <%=name%> ON <%=table%> (<%=fields%>);',
-        SQL_CREATE_VIEW = 'CREATE VIEW IF NOT EXISTS <%=name%> AS <%=select%>;',
-        SQL_DROP_TABLE = 'DROP TABLE IF EXISTS <%=table%>;',
-        SQL_DROP_TRIGGER = 'DROP TRIGGER IF EXISTS <%=trigger%>;',
-        SQL_DROP_INDEX = 'DROP INDEX IF EXISTS <%=index%>;',
-        SQL_DROP_VIEW = 'DROP VIEW IF EXISTS <%=view%>;',
-        SQL_CREATE_TRIGGER = 'CREATE TRIGGER IF NOT EXISTS <%=trigger%> <%=definition%>',
-        SQL_DT_CHANGE_TRIGGER = ' AFTER UPDATE ON <%=table%> ' +
-            'BEGIN ' +
-            'UPDATE <%=table%> SET dt_change = ' + SQL_DT_DEFAULT + ' WHERE new.id = id; ' +
-            'END;',
+        sqlCreateTable = function(table, fields, constraints) {
+            return 'CREATE TABLE IF NOT EXISTS ' + table + ' (' + fields + constraints + ');';
+        },
+        sqlCreateIndex = function(name, unique, table, fields) {
+            return 'CREATE' + unique + ' INDEX IF NOT EXISTS ' + name + ' ON ' + table + ' (' + fields + ');';
+        },
+        sqlCreateView = function(name, select) {
+            return 'CREATE VIEW IF NOT EXISTS ' + name + ' AS ' + select + ';';
+        },
+        sqlCreateTrigger = function(trigger, definition) {
+            return 'CREATE TRIGGER IF NOT EXISTS ' + trigger + ' ' + definition;
+        },
+        sqlDrop = function(type, name) {
+            return 'DROP ' + type + ' IF EXISTS ' + name + ';';
+        },
+        sqlDtChangeTrigger = function(table, column) {
+            return ' AFTER UPDATE ON ' + table + ' ' +
+                'BEGIN ' +
+                'UPDATE ' + table + ' SET ' + column + ' = ' + SQL_DT_DEFAULT + ' WHERE new.id = id; ' +
+                'END;';
+        },
 
         // Timestamp templates
         timestampTpl = {
@@ -1229,7 +1238,7 @@ function($, window, undefined) {
         var sql;
 
         if (!!this.options.dropOnInit || !!force) {
-            sql = $.template(SQL_DROP_TABLE, {'table': tableName});
+            sql = sqlDrop('TABLE', tableName);
             this.executeSql(tx, sql);
         }
 
@@ -1247,7 +1256,7 @@ function($, window, undefined) {
         var sql;
 
         if (!!this.options.dropOnInit || !!force) {
-            sql = $.template(SQL_DROP_TRIGGER, {'trigger': trigger});
+            sql = sqlDrop('TRIGGER', trigger);
             this.executeSql(tx, sql);
         }
 
@@ -1269,7 +1278,7 @@ function($, window, undefined) {
         }
 
         if (!!this.options.dropOnInit || !!force) {
-            sql = $.template(SQL_DROP_INDEX, {'index': index});
+            sql = sqlDrop('INDEX', index);
             this.executeSql(tx, sql);
         }
 
@@ -1287,7 +1296,7 @@ function($, window, undefined) {
         var sql;
 
         if (!!this.options.dropOnInit || !!force) {
-            sql = $.template(SQL_DROP_VIEW, {'view': view});
+            sql = sqlDrop('VIEW', view);
             this.executeSql(tx, sql);
         }
 
@@ -1334,13 +1343,10 @@ function($, window, undefined) {
      * @return {String}
      */
     DatabaseAdapter.prototype.getSqlTable = function(tableName) {
-        return $.template(
-            SQL_CREATE_TABLE,
-            {
-                'table': tableName,
-                'fields': this._getSqlTableColumns(tableName),
-                'constraints': this._getSqlTableConstraints(tableName)
-            }
+        return sqlCreateTable(
+            tableName,
+            this._getSqlTableColumns(tableName),
+            this._getSqlTableConstraints(tableName)
         );
     }
 
@@ -1351,7 +1357,7 @@ function($, window, undefined) {
      * @return {String}
      */
     DatabaseAdapter.prototype.getSqlTrigger = function(trigger) {
-        return $.template(SQL_CREATE_TRIGGER, {'trigger': trigger, 'definition': this.triggers[trigger]});
+        return sqlCreateTrigger(trigger, this.triggers[trigger]);
     }
 
 
@@ -1361,14 +1367,11 @@ function($, window, undefined) {
      * @return {String}
      */
     DatabaseAdapter.prototype.getSqlIndex = function(index) {
-        return $.template(
-            SQL_CREATE_INDEX,
-            {
-                'name': index,
-                'unique': this.indexes[index].unique,
-                'table': this.indexes[index].table,
-                'fields': this.indexes[index].columns.join(', ')
-            }
+        return sqlCreateIndex(
+            index,
+            this.indexes[index].unique,
+            this.indexes[index].table,
+            this.indexes[index].columns.join(', ')
         );
     }
 
@@ -1379,7 +1382,7 @@ function($, window, undefined) {
      * @return {String}
      */
     DatabaseAdapter.prototype.getSqlView = function(view) {
-        return $.template(SQL_CREATE_VIEW, {'name': view, 'select': this._createViewSelect(view)});
+        return sqlCreateView(view, this._createViewSelect(view));
     }
 
 
@@ -2289,7 +2292,7 @@ function($, window, undefined) {
         // check for auto_change_timestamp
         if (!!this.options.timestamp_change && columns.indexOf(this.options.timestamp_change) !== -1) {
             this.setColumns(tableName, this.options.timestamp_change, [columType, SQL_DT_CONSTRAINTS]);
-            this.addTrigger(tableName + '_dt_create_autoupdate', $.template(SQL_DT_CHANGE_TRIGGER, {table: tableName}));
+            this.addTrigger(tableName + '_dt_create_autoupdate', sqlDtChangeTrigger(tableName, this.options.timestamp_change));
         }
 
         this._prepareAutoColumnDefintions(tableName, columns);
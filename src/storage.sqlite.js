@@ -56,10 +56,12 @@ var SqliteStorageAdapter = (function($) {
              *
              * @param {$.mvc.modelDb} obj
              * @param {function} [callback]
+             * @param {function(Error)} [errorCallback] without errorCallback errors will be thrown
              * @requires $.db
              * @throws Error
+             * @event modelName:save after saving
              */
-            save: function(obj, callback) {
+            save: function(obj, callback, errorCallback) {
                 try {
                     var db,
                         tableName = obj.getTableName(),
@@ -85,17 +87,21 @@ var SqliteStorageAdapter = (function($) {
                         },
                         // ERROR
                         function(err) {
-                            throw $.db.SqlError(err, sql);
+                            _handleError(errorCallback, err, sql);
                         },
-                        // SUCCESS
+                        // SUCCESS (the event is triggered after the callback, so a failing listener can't stop it)
                         function() {
-                            if (callback && $.isFunction(callback)) {
-                                callback(obj);
+                            try {
+                                if (callback && $.isFunction(callback)) {
+                                    callback(obj);
+                                }
+                            } finally {
+                                $(document).trigger(obj.modelName + ":save", obj);
                             }
                         }
                     );
                 } catch (err) {
-                    throw $.db.SqlError(err, sql);
+                    _handleError(errorCallback, err, sql);
                 }
             },
 
@@ -157,7 +163,9 @@ var SqliteStorageAdapter = (function($) {
                     }
                 }
 
+                this._convertJson(obj, columns, values);
                 values = $.db.prepareData(values);
+                this._convertBooleans(obj, columns, values);
 
                 if (id != 0) {
                     values.push(id);
@@ -199,10 +207,11 @@ var SqliteStorageAdapter = (function($) {
              * @param {Number} id
              * @param {function|undefined} [callback]
              * @param {af.mvc.modelDb} obj
+             * @param {function(Error)} [errorCallback] without errorCallback errors will be thrown
              * @requires $.db
              * @throws Error
              */
-            get: function(id, callback, obj) {
+            get: function(id, callback, obj, errorCallback) {
                 var
                     db,
                     tableName = obj.getTableName(),
@@ -231,6 +240,8 @@ var SqliteStorageAdapter = (function($) {
                                     el = $.extend({}, results.rows.item(0));
 
                                     self._autoConvertDates.call(self, el, tableName, columns);
+                                    self._autoConvertBooleans.call(self, el, obj);
+                                    self._autoConvertJson.call(self, el, obj);
                                 }
 
                                 return (callback && $.isFunction(callback)) ? callback(el) : el;
@@ -238,11 +249,11 @@ var SqliteStorageAdapter = (function($) {
                         },
                         // ERROR
                         function(err) {
-                            throw $.db.SqlError(err, sql);
+                            _handleError(errorCallback, err, sql);
                         }
                     );
                 } catch (err) {
-                    throw $.db.SqlError(err, sql);
+                    _handleError(errorCallback, err, sql);
                 }
             },
 
@@ -255,9 +266,10 @@ var SqliteStorageAdapter = (function($) {
              * @param {String} type model name
              * @param {function} [callback]
              * @param {af.mvc.modelDb} obj empty model object
+             * @param {function(SQLError)} [errorCallback] without errorCallback errors will be thrown
              */
-            getAll: function(type, callback, obj) {
-                this.search(obj, {filter: []}, callback);
+            getAll: function(type, callback, obj, errorCallback) {
+                this.search(obj, {filter: []}, callback, errorCallback);
             },
 
 
@@ -271,9 +283,10 @@ var SqliteStorageAdapter = (function($) {
              *
              * @param {$.mvc.modelDb} obj empty model object
              * @param {function} [callback]
+             * @param {function(Error)} [errorCallback] without errorCallback errors will be thrown
              * @event modelName:remove will only be fired if object was really deleted in the database
              */
-            remove: function(obj, callback) {
+            remove: function(obj, callback, errorCallback) {
                 var
                     db,
                     tableName = obj.getTableName(),
@@ -295,22 +308,24 @@ var SqliteStorageAdapter = (function($) {
                                     enforceDeleted = obj.__remove.call(obj, tx, results);
                                 }
 
-                                if (results.rowsAffected || enforceDeleted === true) {
-                                    $(document).trigger(obj.modelName + ":remove", obj.id);
-                                }
-
-                                if (callback && $.isFunction(callback)) {
-                                    callback(obj)
+                                try {
+                                    if (callback && $.isFunction(callback)) {
+                                        callback(obj)
+                                    }
+                                } finally {
+                                    if (results.rowsAffected || enforceDeleted === true) {
+                                        $(document).trigger(obj.modelName + ":remove", obj.id);
+                                    }
                                 }
                             });
                         },
                         // ERROR
                         function(err) {
-                            throw $.db.SqlError(err, sql);
+                            _handleError(errorCallback, err, sql);
                         }
                     );
                 } catch (err) {
-                    throw $.db.SqlError(err, sql);
+                    _handleError(errorCallback, err, sql);
                 }
             },
 
@@ -359,6 +374,8 @@ var SqliteStorageAdapter = (function($) {
                             var el = $.extend(obj.createNew(), results.rows.item(t));
 
                             self._autoConvertDates.call(self, el, tableName, columns);
+                            self._autoConvertBooleans.call(self, el, obj);
+                            self._autoConvertJson.call(self, el, obj);
 
                             all.push(hasWakeUp ? el.__wakeup.call(el) : el);
                         }
@@ -413,6 +430,68 @@ var SqliteStorageAdapter = (function($) {
                         obj[col] = $.db.db2date(obj[col]);
                     }
                 });
+            },
+
+            /**
+             * (internal) Converts the values of boolean schema attributes (0/1 in the database) to booleans.
+             * @param {Object} el loaded data
+             * @param {af.mvc.modelDb} obj model object
+             */
+            _autoConvertBooleans: function(el, obj) {
+                var schema = (obj && $.isFunction(obj.getSchema)) ? obj.getSchema() : null;
+                Object.keys(schema || {}).forEach(function(key) {
+                    if (schema[key].type === 'boolean' && el.hasOwnProperty(key) && el[key] !== null) {
+                        el[key] = !!el[key];
+                    }
+                });
+            },
+
+            /**
+             * (internal) Parses the JSON values of array and object schema attributes.
+             * @param {Object} el loaded data
+             * @param {af.mvc.modelDb} obj model object
+             */
+            _autoConvertJson: function(el, obj) {
+                var schema = (obj && $.isFunction(obj.getSchema)) ? obj.getSchema() : null;
+                Object.keys(schema || {}).forEach(function(key) {
+                    if ((schema[key].type === 'array' || schema[key].type === 'object') && typeof el[key] === 'string') {
+                        try {
+                            el[key] = JSON.parse(el[key]);
+                        } catch (e) {
+                        }
+                    }
+                });
+            },
+
+            /**
+             * (internal) Converts the save values of array and object schema attributes to JSON.
+             * @param {af.mvc.modelDb} obj
+             * @param {Array} columns
+             * @param {Array} values
+             */
+            _convertJson: function(obj, columns, values) {
+                var schema = $.isFunction(obj.getSchema) ? obj.getSchema() : null;
+                columns.forEach(function(col, t) {
+                    var type = schema && schema[col] ? schema[col].type : null;
+                    if ((type === 'array' || type === 'object') && values[t] !== null && values[t] !== undefined) {
+                        values[t] = JSON.stringify(values[t]);
+                    }
+                });
+            },
+
+            /**
+             * (internal) Converts the save values of boolean schema attributes to 1/0.
+             * @param {af.mvc.modelDb} obj
+             * @param {Array} columns
+             * @param {Array} values
+             */
+            _convertBooleans: function(obj, columns, values) {
+                var schema = $.isFunction(obj.getSchema) ? obj.getSchema() : null;
+                columns.forEach(function(col, t) {
+                    if (schema && schema[col] && schema[col].type === 'boolean' && typeof values[t] === 'boolean') {
+                        values[t] = values[t] ? 1 : 0;
+                    }
+                });
             }
 
             // END of class
@@ -422,6 +501,25 @@ var SqliteStorageAdapter = (function($) {
     // ===================================================================================================================
     // helper
     // ===================================================================================================================
+    /**
+     * Passes an error as Error object (with code and sql) to errorCallback or throws it (without errorCallback)
+     * @param {function(Error)|undefined} errorCallback
+     * @param {SQLError|Error} err
+     * @param {String} sql
+     */
+    function _handleError(errorCallback, err, sql)
+    {
+        if (!$.isFunction(errorCallback)) {
+            throw $.db.SqlError(err, sql);
+        }
+
+        var error = new Error($.db.SqlError(err, sql));
+        error.code = (err && err.code !== undefined) ? err.code : null;
+        error.sql = sql;
+        errorCallback(error);
+    }
+
+
     function _checkTableName(nameOrObj)
     {
         var tableName = ($.isObject(nameOrObj)) ? nameOrObj.getTableName() : nameOrObj;
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Precompiles jq.template templates into a javascript file, which registers ready functions with $.template.register().
+ * Rendering precompiled templates needs no eval / new Function (Content-Security-Policy without 'unsafe-eval').
+ *
+ * Usage:
+ ```
+ node tools/precompile-templates.js [--base dir] [--ids path|name] [--ext .tpl,.html] [-o file] <file|dir> [...]
+
+ node tools/precompile-templates.js --base example --ids name -o example/views.compiled.js example/views
+ ```
+ * --base  template ids are the paths relative to this directory (default: current directory), e.g. "views/list.tpl"
+ * --ids   "path" (default) or "name" = file name with "_" instead of "." (views/list.tpl => "list_tpl")
+ * --ext   file extensions used in directories (default: .tpl)
+ * -o      output file (default: stdout)
+ *
+ * The generated file has to be included after jq.template.js (and before the controllers):
+ ```
+ <script src="views.compiled.js"></script>
+ ```
+ */
+'use strict';
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+/**
+ * Loads $.template from src/jq.template.js
+ * @return {Function}
+ */
+function loadTemplateEngine() {
+    var sandbox = {jq: {}, window: {}};
+    var file = path.join(__dirname, "..", "src", "jq.template.js");
+    vm.runInNewContext(fs.readFileSync(file, "utf8"), sandbox, {filename: file});
+    return sandbox.jq.template;
+}
+
+/**
+ * Parses the command line arguments
+ * @param {Array} argv
+ * @return {Object}
+ */
+function parseArgs(argv) {
+    var options = {base: process.cwd(), ids: "path", ext: [".tpl"], output: null, files: []};
+
+    for (var i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case "--base":
+                options.base = path.resolve(argv[++i]);
+                break;
+            case "--ids":
+                options.ids = argv[++i];
+                break;
+            case "--ext":
+                options.ext = argv[++i].split(",");
+                break;
+            case "-o":
+            case "--output":
+                options.output = argv[++i];
+                break;
+            default:
+                options.files.push(path.resolve(argv[i]));
+        }
+    }
+
+    if (!options.files.length || (options.ids !== "path" && options.ids !== "name")) {
+        throw new Error("usage: precompile-templates.js [--base dir] [--ids path|name] [--ext .tpl] [-o file] <file|dir> [...]");
+    }
+    return options;
+}
+
+/**
+ * Returns all template files (directories are searched recursively for files with one of the extensions)
+ * @param {String} file
+ * @param {Array} extensions
+ * @return {Array}
+ */
+function findTemplates(file, extensions) {
+    if (!fs.statSync(file).isDirectory()) {
+        return [file];
+    }
+    return fs.readdirSync(file).sort().reduce(function(files, name) {
+        var child = path.join(file, name);
+        if (fs.statSync(child).isDirectory()) {
+            return files.concat(findTemplates(child, extensions));
+        }
+        return extensions.indexOf(path.extname(name)) === -1 ? files : files.concat([child]);
+    }, []);
+}
+
+/**
+ * Returns the template id of a file
+ * @param {String} file
+ * @param {Object} options
+ * @return {String}
+ */
+function templateId(file, options) {
+    if (options.ids === "name") {
+        return path.basename(file).replace(/\./g, "_");
+    }
+    return path.relative(options.base, file).split(path.sep).join("/");
+}
+
+function main() {
+    var options = parseArgs(process.argv.slice(2));
+    var template = loadTemplateEngine();
+    var templates = [];
+    var ids = {};
+
+    options.files.forEach(function(file) {
+        findTemplates(file, options.ext).forEach(function(templateFile) {
+            var id = templateId(templateFile, options);
+            if (ids.hasOwnProperty(id)) {
+                throw new Error("duplicate template id \"" + id + "\": " + ids[id] + ", " + templateFile);
+            }
+            ids[id] = templateFile;
+            templates.push("        " + JSON.stringify(id) + ": " + template.precompile(fs.readFileSync(templateFile, "utf8")));
+        });
+    });
+
+    var output = "/* precompiled templates, generated by tools/precompile-templates.js - do not edit */\n" +
+        "(function($) {\n" +
+        "    $.template.register({\n" + templates.join(",\n") + "\n    });\n" +
+        "})(jq);\n";
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.error(templates.length + " template(s) written to " + options.output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}